@@ -0,0 +1,30 @@
+// atlas.js
+// Hand-written sprite sheet definitions (docs/ucs.json format):
+// [{ "name": "Num_0", "x": 259, "y": 485, "width": 25, "height": 22 }, ...]
+
+// Parse atlas JSON; a trailing comma before the closing bracket is tolerated
+export function parseAtlas(text) {
+    const list = JSON.parse(text.replace(/,\s*([\]}])/g, '$1'));
+    const rects = {};
+    for (const entry of list) {
+        if (!entry || !entry.name) continue;
+        rects[entry.name] = { x: entry.x, y: entry.y, width: entry.width, height: entry.height };
+    }
+    return rects;
+}
+
+// Load an atlas against one image. Resolves to { name: PIXI.Texture }.
+// Only rects that fit inside the image become textures (a sheet may describe several images).
+export async function loadAtlas(jsonUrl, imageUrl) {
+    const res = await fetch(jsonUrl);
+    if (!res.ok) throw new Error(`HTTP ${res.status} loading ${jsonUrl}`);
+    const rects = parseAtlas(await res.text());
+    const base = (await PIXI.Assets.load(imageUrl)).baseTexture;
+
+    const textures = {};
+    for (const [name, r] of Object.entries(rects)) {
+        if (r.x + r.width > base.width || r.y + r.height > base.height) continue;
+        textures[name] = new PIXI.Texture(base, new PIXI.Rectangle(r.x, r.y, r.width, r.height));
+    }
+    return textures;
+}
@@ -1,40 +1,287 @@
 
+import { createRNG, randomSeed } from './random.js';
+import { TimingMap } from './timing.js';
+import { decodeText } from './encoding.js';
+
+// Key layouts: visible note channels in lane order (left to right).
+// Long-note (1x -> 5x, 2x -> 6x), invisible (3x/4x) and landmine (Dx/Ex) channels follow their visible channel.
+// 16/26 is the scratch (or the O2Jam-style 4th key in the bundled 4K charts).
+export const KEY_LAYOUTS = {
+    '4K':    ['16', '11', '12', '13'],
+    '4K-B':  ['11', '12', '13', '14'],
+    '5K':    ['16', '11', '12', '13', '14', '15'],
+    '6K':    ['11', '12', '13', '15', '18', '19'],
+    '7K':    ['16', '11', '12', '13', '14', '15', '18', '19'],
+    'O2-7K': ['11', '12', '13', '16', '17', '18', '19'],
+    '9K':    ['11', '12', '13', '14', '15', '22', '23', '24', '25'],
+    '5K-2P': ['21', '22', '23', '24', '25', '26'],
+    '7K-2P': ['21', '22', '23', '24', '25', '28', '29', '26'],
+    '10K':   ['16', '11', '12', '13', '14', '15', '21', '22', '23', '24', '25', '26'],
+    '14K':   ['16', '11', '12', '13', '14', '15', '18', '19', '21', '22', '23', '24', '25', '28', '29', '26']
+};
+
+// Player side (1 or 2) of the channel prefixes that carry notes
+const CHANNEL_SIDES = { 1: '1', 2: '2', 3: '1', 4: '2', 5: '1', 6: '2', D: '1', E: '2' };
+
+// Note kind of a key channel's prefix
+const CHANNEL_KINDS = { 1: 'note', 2: 'note', 3: 'invisible', 4: 'invisible', 5: 'ln', 6: 'ln', D: 'mine', E: 'mine' };
+
+// A landmine with this value takes the whole HP; others take their base-36 value in HP points
+const MINE_FULL_DAMAGE = 'ZZ';
+
+// Visible channel that a long-note, invisible or landmine channel belongs to ('51' -> '11', '42' -> '22', 'D3' -> '13')
+function baseChannel(ch) {
+    return CHANNEL_SIDES[ch[0]] + ch[1];
+}
+
+// LN, invisible and landmine channels of a visible channel ('11' -> ['51', '31', 'D1'])
+function companionChannels(ch) {
+    return ch[0] === '1' ? ['5' + ch[1], '3' + ch[1], 'D' + ch[1]] : ['6' + ch[1], '4' + ch[1], 'E' + ch[1]];
+}
+
+function isKeyChannel(ch) {
+    return /^[123456DE][1-9]$/.test(ch);
+}
+
+// HP points (out of 100) a landmine value takes
+function mineDamage(valStr) {
+    return valStr === MINE_FULL_DAMAGE ? 100 : Math.min(100, parseInt(valStr, 36));
+}
+
+// Pick the smallest layout that covers every key channel in use (on a tie, the first in KEY_LAYOUTS).
+// Falls back to a 'custom' layout of the used channels so no notes are dropped.
+export function detectKeyMode(usedChannels) {
+    const used = [...new Set([...usedChannels].map(baseChannel))];
+    const bySize = Object.entries(KEY_LAYOUTS).sort((a, b) => a[1].length - b[1].length);
+    for (const [mode, layout] of bySize) {
+        if (used.every(ch => layout.includes(ch))) return { mode, layout };
+    }
+    const layout = used.sort((a, b) => (a[0] - b[0]) || (a[1] - b[1]));
+    return { mode: 'custom', layout };
+}
+
 export class BMSParser {
-    constructor(text) {
-        this.text = text;
+    // options.seed          seed for #RANDOM (a random one is picked and reported if omitted)
+    // options.randomValues  values to use for the #RANDOM/#SETRANDOM lines, in file order,
+    //                       e.g. the `random.values` of a previous parse to replay the same branches
+    // options.keyMode       force one of KEY_LAYOUTS instead of detecting it from the channels
+    // options.channelMap    custom { channel: lane } map, e.g. { '11': 0, '12': 1, '15': 2, '18': 3 }
+    // options.encoding      TextDecoder label for byte input, or 'auto' (default) to detect it
+    // source is the chart text, or its raw bytes (ArrayBuffer / Uint8Array) to be decoded here
+    constructor(source, options = {}) {
+        if (typeof source === 'string') {
+            this.text = source;
+            this.encoding = null; // Already text
+        } else {
+            ({ text: this.text, encoding: this.encoding } = decodeText(source, options.encoding || 'auto'));
+        }
+        this.options = options;
+        this.random = { seed: options.seed ?? randomSeed(), values: [] };
         this.headers = {};
         this.measures = new Map(); // measureIndex -> { channel -> stringData }
-        this.notes = []; // { time, lane, type, duration }
+        this.notes = []; // { time, lane, type: 'tap' | 'ln' | 'invisible' | 'mine', duration, sampleId, damage (mines) }
         this.bgmEvents = []; // { time, id }
-        this.bpms = []; // { time, bpm }
-        this.stops = []; // { time, duration }
+        this.wavs = {}; // #WAVxx id -> sample filename
+        this.bpms = []; // { time, beat, bpm }
+        this.stops = []; // { time, beat, duration }
+        this.timing = null; // TimingMap
+        this.barLines = []; // { measure, beat, time }
+        this.diagnostics = []; // { severity: 'error' | 'warning', line, channel, message }
         this.duration = 0;
         this.minBPM = 0;
         this.maxBPM = 0;
     }
 
+    // Record a problem for chart authors; line is 1-based in the source text (null if not tied to a line)
+    diagnose(severity, line, channel, message) {
+        this.diagnostics.push({ severity, line, channel, message });
+    }
+
+    // Evaluate #RANDOM / #SETRANDOM / #IF / #ELSEIF / #ELSE / #ENDIF / #ENDRANDOM
+    // and return only the lines of the chosen branches as { text, line }. Blocks can be nested.
+    preprocess(lines) {
+        const forced = this.options.randomValues || [];
+        const rng = createRNG(this.random.seed);
+        const reControl = /^#(SETRANDOM|RANDOM|ELSEIF|ELSE|ENDIF|END\s+IF|ENDRANDOM|IF)(?:\s+(\S+))?\s*$/i;
+
+        // Stack of { type: 'random', value } and { type: 'if', active, taken, line }
+        const frames = [];
+        const isActive = () => frames.every(f => f.type !== 'if' || f.active);
+        const currentRandom = () => {
+            for (let i = frames.length - 1; i >= 0; i--) {
+                if (frames[i].type === 'random') return frames[i].value;
+            }
+            return 0;
+        };
+        const popUntil = (type) => {
+            while (frames.length > 0) {
+                if (frames.pop().type === type) return;
+            }
+        };
+
+        const out = [];
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i].trim();
+            const m = line.match(reControl);
+            if (!m) {
+                if (isActive()) out.push({ text: line, line: i + 1 });
+                continue;
+            }
+
+            const cmd = m[1].toUpperCase().replace(/\s+/g, '');
+            const arg = parseInt(m[2], 10);
+            const top = frames[frames.length - 1];
+
+            if (cmd === 'RANDOM' || cmd === 'SETRANDOM') {
+                // Most charts never write #ENDRANDOM: a new #RANDOM replaces the previous one at the same level
+                if (top && top.type === 'random') frames.pop();
+                let value = 0;
+                // Branches that are not taken do not consume random values
+                if (isActive()) {
+                    const index = this.random.values.length;
+                    if (cmd === 'SETRANDOM') value = arg;
+                    else if (index < forced.length) value = forced[index];
+                    else if (arg > 0) value = Math.floor(rng() * arg) + 1;
+                    this.random.values.push(value);
+                }
+                frames.push({ type: 'random', value });
+            } else if (cmd === 'IF') {
+                const active = currentRandom() === arg;
+                frames.push({ type: 'if', active, taken: active, line: i + 1 });
+            } else if ((cmd === 'ELSEIF' || cmd === 'ELSE' || cmd === 'ENDIF') && !frames.some(f => f.type === 'if')) {
+                this.diagnose('warning', i + 1, null, `#${cmd} 没有对应的 #IF，已忽略`);
+            } else if (cmd === 'ELSEIF') {
+                if (top && top.type === 'if') {
+                    top.active = !top.taken && currentRandom() === arg;
+                    if (top.active) top.taken = true;
+                }
+            } else if (cmd === 'ELSE') {
+                if (top && top.type === 'if') {
+                    top.active = !top.taken;
+                    top.taken = true;
+                }
+            } else if (cmd === 'ENDIF') {
+                popUntil('if');
+            } else if (cmd === 'ENDRANDOM') {
+                popUntil('random');
+            }
+        }
+        for (const f of frames) {
+            if (f.type === 'if') this.diagnose('warning', f.line, null, '#IF 没有对应的 #ENDIF，条件持续到文件末尾');
+        }
+        return out;
+    }
+
+    // channel -> lane for every key channel (visible and LN) of the chosen layout
+    buildLaneMap(usedChannels) {
+        const laneOf = new Map();
+        const custom = this.options.channelMap;
+        if (custom) {
+            this.keyMode = 'custom';
+            for (const [ch, lane] of Object.entries(custom)) laneOf.set(ch, lane);
+            // LN, invisible and landmine channels follow their visible channel unless the map names them explicitly
+            for (const [ch, lane] of Object.entries(custom)) {
+                if (!/^[12][1-9]$/.test(ch)) continue;
+                for (const companion of companionChannels(ch)) if (!laneOf.has(companion)) laneOf.set(companion, lane);
+            }
+            // Channels the map forgot get lanes after the mapped ones rather than being dropped
+            let next = Math.max(-1, ...laneOf.values()) + 1;
+            for (const ch of [...usedChannels].sort()) {
+                if (laneOf.has(ch)) continue;
+                const base = baseChannel(ch);
+                if (!laneOf.has(base)) laneOf.set(base, next++);
+                laneOf.set(ch, laneOf.get(base));
+            }
+            return laneOf;
+        }
+
+        let layout = KEY_LAYOUTS[this.options.keyMode];
+        if (layout && [...usedChannels].every(ch => layout.includes(baseChannel(ch)))) {
+            this.keyMode = this.options.keyMode;
+        } else {
+            if (layout) this.diagnose('warning', null, null, `键位模式 ${this.options.keyMode} 不包含谱面用到的全部通道，已改为自动识别`);
+            ({ mode: this.keyMode, layout } = detectKeyMode(usedChannels));
+        }
+        layout.forEach((ch, lane) => {
+            laneOf.set(ch, lane);
+            for (const companion of companionChannels(ch)) laneOf.set(companion, lane);
+        });
+        return laneOf;
+    }
+
+    // Playable notes that share a lane and time, and notes that start inside a long note's body
+    checkNoteOverlaps(noteSource) {
+        const EPS = 1e-6;
+        const last = new Map(); // lane -> previous note
+        const lnEnd = new Map(); // lane -> end time of the latest LN
+        for (const note of this.notes) {
+            if (note.type !== 'tap' && note.type !== 'ln') continue;
+            const src = noteSource.get(note) || { line: null, channel: null };
+            const prev = last.get(note.lane);
+            if (prev && Math.abs(prev.time - note.time) < EPS) {
+                this.diagnose('warning', src.line, src.channel, `轨道 ${note.lane + 1} 在同一时间有重叠的音符`);
+            } else if (lnEnd.has(note.lane) && note.time < lnEnd.get(note.lane) - EPS) {
+                this.diagnose('warning', src.line, src.channel, `轨道 ${note.lane + 1} 的音符位于长条内部`);
+            }
+            last.set(note.lane, note);
+            if (note.type === 'ln') lnEnd.set(note.lane, Math.max(lnEnd.get(note.lane) || 0, note.time + note.duration));
+        }
+    }
+
     parse() {
-        const lines = this.text.split(/\r?\n/);
+        const lines = this.preprocess(this.text.split(/\r?\n/));
         const wavDefs = new Map();
         const bmpDefs = new Map();
         const bpmDefs = new Map(); // #BPMxx -> value
         const stopDefs = new Map(); // #STOPxx -> value
+        const lnObjs = new Set(); // #LNOBJ ids: an object with one of these ends the previous note of its lane as an LN
         
         // 1. Parse Headers and Raw Measure Data
         const reHeader = /^#([A-Z0-9]+)(?:\s+(.*))?$/i;
-        const reMeasure = /^#(\d{3})(\d{2}):([0-9A-Za-z]+)$/;
+        const reMeasure = /^#(\d{3})([0-9A-Za-z]{2}):(.*)$/;
+        const dataLines = new Map(); // 'measure:channel' -> source line of each data string
 
-        for (let line of lines) {
-            line = line.trim();
+        for (const { text, line: lineNo } of lines) {
+            const line = text.trim();
             if (!line.startsWith('#')) continue;
 
             const matchMeasure = line.match(reMeasure);
             if (matchMeasure) {
                 const mIdx = parseInt(matchMeasure[1], 10);
-                const ch = matchMeasure[2];
-                const data = matchMeasure[3];
+                const ch = matchMeasure[2].toUpperCase();
+                let data = matchMeasure[3].trim();
+                if (ch === '02') {
+                    // Measure length is a number, not object pairs
+                    if (!(parseFloat(data) > 0)) {
+                        this.diagnose('error', lineNo, ch, `小节长度无效: ${data}`);
+                        continue;
+                    }
+                } else if (!/^\d{2}$/.test(ch) && !isKeyChannel(ch)) {
+                    this.diagnose('warning', lineNo, ch, `不支持的通道 ${ch}，已忽略`);
+                    continue;
+                } else if (!/^[0-9A-Za-z]+$/.test(data)) {
+                    this.diagnose('error', lineNo, ch, `小节数据包含非法字符，已忽略: ${data}`);
+                    continue;
+                } else if (data.length % 2 !== 0) {
+                    this.diagnose('warning', lineNo, ch, `小节数据长度为奇数 (${data.length})，最后一个字符已忽略`);
+                    data = data.slice(0, -1);
+                }
                 if (!this.measures.has(mIdx)) this.measures.set(mIdx, {});
-                this.measures.get(mIdx)[ch] = data;
+                const channels = this.measures.get(mIdx);
+                const key = `${mIdx}:${ch}`;
+                // BGM (01) may be written on several lines per measure; every line is a separate layer
+                if (ch === '01') {
+                    if (!channels[ch]) channels[ch] = [];
+                    channels[ch].push(data);
+                    if (!dataLines.has(key)) dataLines.set(key, []);
+                    dataLines.get(key).push(lineNo);
+                } else {
+                    if (channels[ch] !== undefined) {
+                        this.diagnose('warning', lineNo, ch, `小节 ${matchMeasure[1]} 的通道 ${ch} 重复定义，覆盖第 ${dataLines.get(key)[0]} 行`);
+                    }
+                    channels[ch] = data;
+                    dataLines.set(key, [lineNo]);
+                }
                 continue;
             }
 
@@ -44,10 +291,13 @@ export class BMSParser {
                 const value = matchHeader[2];
                 this.headers[key] = value;
 
-                if (key.startsWith('WAV')) wavDefs.set(key.substr(3), value);
+                if (key.startsWith('WAV') && key.length === 5 && value) wavDefs.set(key.substr(3), value.trim());
                 if (key.startsWith('BMP')) bmpDefs.set(key.substr(3), value);
                 if (key.startsWith('BPM') && key.length === 5) bpmDefs.set(key.substr(3), parseFloat(value));
                 if (key.startsWith('STOP')) stopDefs.set(key.substr(4), parseInt(value, 10));
+                if (key === 'LNOBJ' && value) lnObjs.add(value.trim().toUpperCase());
+            } else {
+                this.diagnose('warning', lineNo, null, `无法识别的行: ${line}`);
             }
         }
 
@@ -87,6 +337,19 @@ export class BMSParser {
             return mStart + (step / totalSteps) * mLen;
         };
 
+        // Key mode: which lane each note/LN channel lands in
+        const lnType = parseInt(this.headers['LNTYPE'] || '1', 10);
+        const usedChannels = new Set();
+        for (const channels of this.measures.values()) {
+            for (const ch in channels) {
+                if (isKeyChannel(ch) && /[^0]/.test(channels[ch])) {
+                    usedChannels.add(ch);
+                }
+            }
+        }
+        const laneOf = this.buildLaneMap(usedChannels);
+        const laneCount = Math.max(0, ...laneOf.values()) + 1;
+
         // Collect all events
         const timeEvents = []; // { beat, type, value }
         const channelEvents = []; // { beat, type, lane, valStr } for notes
@@ -94,121 +357,68 @@ export class BMSParser {
         for (const mIdx of sortedMeasureKeys) {
             const channels = this.measures.get(mIdx);
             for (const ch in channels) {
-                const data = channels[ch];
-                const len = data.length;
-                const steps = len / 2;
+                if (ch === '02') continue;
+                const srcLines = dataLines.get(`${mIdx}:${ch}`) || [];
+                [].concat(channels[ch]).forEach((data, layer) => {
+                    const line = srcLines[layer] ?? null;
+                    const len = data.length;
+                    const steps = len / 2;
                 
-                for (let i = 0; i < steps; i++) {
-                    const valStr = data.substr(i * 2, 2);
-                    const beat = getBeat(mIdx, i, steps);
+                    for (let i = 0; i < steps; i++) {
+                        const valStr = data.substr(i * 2, 2).toUpperCase();
+                        const beat = getBeat(mIdx, i, steps);
                     
-                    const isLNChannel = ['51', '52', '53', '54'].includes(ch);
-                    const lnType = parseInt(this.headers['LNTYPE'] || '1', 10);
-
-                    // Skip 00 unless it's an LN channel and we are in LNTYPE 2
-                    if (valStr === '00') {
-                        if (isLNChannel && lnType === 2) {
-                             const lane = parseInt(ch) - 51;
-                             channelEvents.push({ beat, type: 'ln', lane, valStr });
+                        const lane = laneOf.get(ch);
+                        const kind = lane !== undefined ? CHANNEL_KINDS[ch[0]] : null;
+                        const isLNChannel = kind === 'ln';
+
+                        // Skip 00 unless it's an LN channel and we are in LNTYPE 2
+                        if (valStr === '00') {
+                            if (isLNChannel && lnType === 2) {
+                                 channelEvents.push({ beat, type: 'ln', lane, valStr, line, ch });
+                            }
+                            continue;
                         }
-                        continue;
-                    }
                     
-                    // BPM Change (Standard)
-                    if (ch === '03') {
-                        const newBPM = parseInt(valStr, 16);
-                        timeEvents.push({ beat, type: 'bpm', value: newBPM });
-                    }
-                    // BPM Change (Extended)
-                    else if (ch === '08') {
-                        if (bpmDefs.has(valStr)) {
-                            timeEvents.push({ beat, type: 'bpm', value: bpmDefs.get(valStr) });
+                        // BPM Change (Standard)
+                        if (ch === '03') {
+                            const newBPM = parseInt(valStr, 16);
+                            if (newBPM > 0) {
+                                timeEvents.push({ beat, type: 'bpm', value: newBPM });
+                            } else {
+                                this.diagnose('error', line, ch, `BPM 值无效: ${valStr}`);
+                            }
                         }
-                    }
-                    // Stop
-                    else if (ch === '09') {
-                        if (stopDefs.has(valStr)) {
-                            timeEvents.push({ beat, type: 'stop', value: stopDefs.get(valStr) });
+                        // BPM Change (Extended)
+                        else if (ch === '08') {
+                            if (bpmDefs.get(valStr) > 0) {
+                                timeEvents.push({ beat, type: 'bpm', value: bpmDefs.get(valStr) });
+                            } else {
+                                this.diagnose('warning', line, ch, bpmDefs.has(valStr) ? `#BPM${valStr} 的值无效` : `引用了未定义的 #BPM${valStr}`);
+                            }
                         }
-                    }
-                    // BGM (Background Music)
-                    else if (ch === '01') {
-                         channelEvents.push({ beat, type: 'bgm', valStr });
-                    }
-                    // P1 Visible Notes (11-15/16/18/19 for 5K/7K/9K but we only support 4K usually? 
-                    // BMS Standard: 11-15 (1P 1-5), 16 (Scratch), 18-19 (6-7)
-                    // MyO2 usually 4K: 11,12,13,14? Or 11,12,13,14,15?
-                    // Let's support 11-19 to be safe and map them modulo 4 or just filter
-                    // Standard 7K is 11,12,13,14,15,18,19.
-                    // User asked for 4K. If the BMS is 4K, it uses 11,12,13,14? 
-                    // Or maybe 11,12,13,15? (1,2,3,5 keys in IIDX layout?)
-                    // Let's look at common 4K BMS. Usually 11,12,13,14.
-                    // But wait, user says "rightmost track not reading".
-                    // Maybe the BMS uses 15 instead of 14? Or 18/19?
-                    // Let's expand the range and log warning if out of bounds?
-                    // Or just map standard IIDX keys to 4 lanes?
-                    // 1P Lanes: 11, 12, 13, 14, 15, 18, 19
-                    // If 4K, it might use 11, 12, 13, 14.
-                    // Let's just support 11-19 and clamp/ignore?
-                    // Wait, if the user says "rightmost", maybe it's lane index 3 (4th lane).
-                    // My code: ['11', '12', '13', '14'].includes(ch) -> lane = ch - 11 (0,1,2,3).
-                    // If the chart uses 15 for the 4th lane (IIDX 5th key), we miss it.
-                    // Let's allow 15, 18, 19 and map them if possible, or just capture them.
-                    // But for 4K specific charts, they should use 11-14.
-                    // Unless it's a 5K/7K chart being played in 4K mode?
-                    // Let's check if the chart uses 15, 16, 18, 19.
-                    // Safe fix: Add 15, 16, 18, 19 to the check and map them.
-                    // However, simply adding them might overlap.
-                    // Let's assume standard contiguous 11-14 for now, but maybe the BMS uses 15?
-                    // Let's check 11,12,13,14,15,16,18,19.
-                    
-                    // P1 Visible Notes
-                    // Mapping based on key.txt:
-                    // 11->L0, 12->L1, 13->L2, 16->L3 (Key 4), 17->L4, 18->L5, 19->L6
-                    else if (['11', '12', '13', '14', '15', '16', '17', '18', '19'].includes(ch)) {
-                        let lane = -1;
-                        const n = parseInt(ch);
-                        
-                        if (n === 11) lane = 0;      // Key 1
-                        else if (n === 12) lane = 1; // Key 2
-                        else if (n === 13) lane = 2; // Key 3
-                        else if (n === 16) lane = 3; // Key 4 (per key.txt)
-                        else if (n === 17) lane = 4; // Key 5
-                        else if (n === 18) lane = 5; // Key 6
-                        else if (n === 19) lane = 6; // Key 7
-                        
-                        // 14 and 15 are marked as unused in key.txt
-                        
-                        if (lane >= 0) {
-                            channelEvents.push({ beat, type: 'note', lane, valStr });
+                        // Stop
+                        else if (ch === '09') {
+                            if (stopDefs.get(valStr) >= 0) {
+                                timeEvents.push({ beat, type: 'stop', value: stopDefs.get(valStr) });
+                            } else {
+                                this.diagnose('warning', line, ch, stopDefs.has(valStr) ? `#STOP${valStr} 的值无效` : `引用了未定义的 #STOP${valStr}`);
+                            }
                         }
-                    }
-                    // P1 Long Notes (51-59)
-                    else if (['51', '52', '53', '54', '55', '56', '57', '58', '59'].includes(ch)) {
-                        let lane = -1;
-                        const n = parseInt(ch);
-                        
-                        if (n === 51) lane = 0;      // Key 1
-                        else if (n === 52) lane = 1; // Key 2
-                        else if (n === 53) lane = 2; // Key 3
-                        else if (n === 56) lane = 3; // Key 4
-                        else if (n === 57) lane = 4; // Key 5
-                        else if (n === 58) lane = 5; // Key 6
-                        else if (n === 59) lane = 6; // Key 7
-
-                         if (lane >= 0) {
-                            channelEvents.push({ beat, type: 'ln', lane, valStr });
+                        // BGM (Background Music)
+                        else if (ch === '01') {
+                             channelEvents.push({ beat, type: 'bgm', valStr });
+                        }
+                        // Key channels (1x/2x visible, 3x/4x invisible, 5x/6x long notes, Dx/Ex landmines),
+                        // mapped through the key layout
+                        else if (lane !== undefined) {
+                            channelEvents.push({ beat, type: kind, lane, valStr, line, ch });
                         }
                     }
-                }
+                });
             }
         }
         
-        // Add '00' events for LNTYPE 2 handling if needed
-        // The loop above skips '00'. We need to NOT skip '00' for LN channels if LNTYPE 2.
-        // Let's fix the loop logic.
-
-
         // Sort time events
         timeEvents.sort((a, b) => a.beat - b.beat);
         channelEvents.sort((a, b) => a.beat - b.beat);
@@ -231,7 +441,8 @@ export class BMSParser {
         // Process time events pointer
         let teIdx = 0;
         
-        this.bpms.push({ time: 0, bpm: initialBPM });
+        this.bpms.push({ time: 0, beat: 0, bpm: initialBPM });
+        const segments = [{ beat: 0, time: 0, bpm: initialBPM }]; // TimingMap segments
         
         for (const beat of sortedBeats) {
             const deltaBeats = beat - lastBeat;
@@ -244,26 +455,17 @@ export class BMSParser {
                 const ev = timeEvents[teIdx];
                 if (ev.type === 'bpm') {
                     currentBPM = ev.value;
-                    this.bpms.push({ time: lastTime, bpm: currentBPM });
+                    this.bpms.push({ time: lastTime, beat, bpm: currentBPM });
+                    segments.push({ beat, time: lastTime, bpm: currentBPM });
                 } else if (ev.type === 'stop') {
-                    // Stop is defined in ticks (1/192 of a measure = 1/48 of a beat in 4/4)
-                    // Wait, rule says: "unit is 1/192 measure". 
-                    // Assuming 4/4 measure, 1 beat = 48 ticks.
-                    // Stop duration in beats = value / 48.
-                    // But wait, does STOP pause the music? 
-                    // In BMS, STOP stops the scroll but MUSIC continues.
-                    // However, for a simulator, we usually map "chart time" vs "music time".
-                    // If we map visual time, the chart stops scrolling.
-                    // Let's handle STOP by adding a "visual delay" but keeping audio sync?
-                    // Actually, STOP stops the scroll. The note time (audio time) is NOT affected usually?
-                    // NO. STOP pauses the SEQUENCE. So music and notes shift?
-                    // "The sequence stops for the duration". So subsequent notes are delayed.
-                    // Yes, STOP adds delay to everything AFTER it.
-                    
-                    const stopBeats = ev.value / 48.0; // Assuming 192 ticks per measure (4 beats)
+                    // STOP value is in ticks of 1/192 measure (48 per beat in 4/4); the sequence halts
+                    // for that long, so everything after it is delayed
+                    const stopBeats = ev.value / 48.0;
                     const stopTime = stopBeats * (60.0 / currentBPM);
+                    segments.push({ beat, time: lastTime, bpm: 0 });
                     lastTime += stopTime;
-                    this.stops.push({ time: beatToTime.get(beat), duration: stopTime });
+                    segments.push({ beat, time: lastTime, bpm: currentBPM });
+                    this.stops.push({ time: beatToTime.get(beat), beat, duration: stopTime });
                 }
                 teIdx++;
             }
@@ -272,44 +474,52 @@ export class BMSParser {
         }
         
         this.duration = lastTime;
+        this.timing = new TimingMap(segments);
+
+        // Bar lines at the start of every measure (and the end of the last one)
+        this.barLines = measureStartBeats.map((beat, measure) => ({ measure, beat, time: this.timing.timeAt(beat) }));
 
         // 4. Generate Notes with Time
         // Handle LNs: need to pair start/end
-        // Expand pending array to cover more lanes if needed
-        const lnPending = new Array(10).fill(null); 
+        const lnPending = new Array(laneCount).fill(null);
+        const lastTap = new Array(laneCount).fill(null); // Latest visible note per lane, for #LNOBJ
+        const noteSource = new Map(); // note -> { line, channel } for diagnostics
         
         for (const ev of channelEvents) {
             const time = beatToTime.get(ev.beat);
             
-            // Map lane for 4K if possible
-            // If lane is 0,1,2,3 -> Keep
-            // If lane is 4 (key 5) -> Map to 3? Or just ignore?
-            // Many 4K BMS charts use 11,12,13,14.
-            // Some might use 11,12,13,15.
-            // Some might use 11,12,14,15.
-            // Let's auto-map? No, that's dangerous.
-            // But if the user says "rightmost track not reading", maybe it's lane index 4 (channel 15) that is being used?
-            // Or maybe channel 14 IS being used but my previous code only checked 11,12,13,14 (0,1,2,3) which is correct.
-            // Wait, in 7K standard: 11=1, 12=2, 13=3, 14=4, 15=5, 18=6, 19=7.
-            // 4K is usually 1,2,3,4 (11-14).
-            // If "rightmost track" is missing, maybe it's channel 15 (5th key) being used as 4th key?
-            // Or maybe channel 18/19?
-            // Let's keep the lane index as is, and let game.js handle the "Lane Count" or remapping.
-            // But game.js expects lane 0-3.
-            // If we receive lane 4 (from channel 15), game.js won't render it.
-            // Let's try to remap lanes > 3 to 3 if it's a 4K chart?
-            // Actually, let's just allow parsing ALL lanes, and let the game decide what to show.
-            
-            if (ev.type === 'note') {
-                this.notes.push({
+            if (ev.type === 'note' && lnObjs.has(ev.valStr)) {
+                // #LNOBJ end marker: the previous note of the lane becomes the LN head
+                const head = lastTap[ev.lane];
+                if (head) {
+                    head.type = 'ln';
+                    head.duration = time - head.time;
+                    lastTap[ev.lane] = null;
+                } else {
+                    this.diagnose('warning', ev.line, ev.ch, `#LNOBJ 结束标记 ${ev.valStr} 前没有可连接的音符，已忽略`);
+                }
+            } else if (ev.type === 'note') {
+                const note = {
                     time: time,
                     lane: ev.lane,
                     type: 'tap',
-                    duration: 0
+                    duration: 0,
+                    sampleId: ev.valStr
+                };
+                noteSource.set(note, { line: ev.line, channel: ev.ch });
+                this.notes.push(note);
+                lastTap[ev.lane] = note;
+            } else if (ev.type === 'invisible') {
+                // Not shown or judged; a key press with no note to hit plays its sample
+                this.notes.push({ time, lane: ev.lane, type: 'invisible', duration: 0, sampleId: ev.valStr });
+            } else if (ev.type === 'mine') {
+                // Value is the damage; the explosion plays #WAV00 when the chart defines it
+                this.notes.push({
+                    time, lane: ev.lane, type: 'mine', duration: 0,
+                    sampleId: wavDefs.has('00') ? '00' : null, damage: mineDamage(ev.valStr)
                 });
             } else if (ev.type === 'ln') {
-                const lnType = parseInt(this.headers['LNTYPE'] || '1', 10);
-                
+                lastTap[ev.lane] = null; // An #LNOBJ end after this can't reach back past the long note
                 if (lnType === 2) {
                     if (ev.valStr === '00') {
                         // End LN if pending
@@ -330,8 +540,10 @@ export class BMSParser {
                             time: time,
                             lane: ev.lane,
                             type: 'ln',
-                            duration: 0
+                            duration: 0,
+                            sampleId: ev.valStr
                         };
+                        noteSource.set(lnPending[ev.lane], { line: ev.line, channel: ev.ch });
                     }
                 } else {
                     // LNTYPE 1 (Toggle)
@@ -347,8 +559,10 @@ export class BMSParser {
                             time: time,
                             lane: ev.lane,
                             type: 'ln',
-                            duration: 0 // placeholder
+                            duration: 0, // placeholder
+                            sampleId: ev.valStr
                         };
+                        noteSource.set(lnPending[ev.lane], { line: ev.line, channel: ev.ch });
                     }
                 }
             } else if (ev.type === 'bgm') {
@@ -359,19 +573,41 @@ export class BMSParser {
             }
         }
         
+        // An LN still open at the end of the file keeps its head as a tap note
+        for (const note of lnPending) {
+            if (!note) continue;
+            const src = noteSource.get(note);
+            this.diagnose('warning', src.line, src.channel, '长条没有结束标记，已作为普通音符处理');
+            note.type = 'tap';
+            this.notes.push(note);
+        }
+        
         // Sort notes by time
         this.notes.sort((a, b) => a.time - b.time);
         this.bgmEvents.sort((a, b) => a.time - b.time);
+        this.wavs = Object.fromEntries(wavDefs);
+        this.checkNoteOverlaps(noteSource);
+        this.diagnostics.sort((a, b) => (a.line ?? 0) - (b.line ?? 0));
         
         return {
             notes: this.notes,
             bgmEvents: this.bgmEvents,
-            bpms: this.bpms,
-            stops: this.stops,
+            wavs: this.wavs,
+            bmps: Object.fromEntries(bmpDefs), // #BMPxx id -> image filename
+            bpms: this.bpms, // { time, beat, bpm }
+            stops: this.stops, // { time, beat, duration }
+            timing: this.timing, // TimingMap: beatAt(time) / timeAt(beat)
+            barLines: this.barLines, // { measure, beat, time }
             initialBPM: initialBPM,
+            keyMode: this.keyMode,
+            laneCount: laneCount,
             title: this.headers['TITLE'],
             artist: this.headers['ARTIST'],
-            headers: this.headers // Export headers too for debugging
+            rank: /^\d+$/.test(this.headers['RANK'] || '') ? parseInt(this.headers['RANK'], 10) : null, // #RANK judge difficulty
+            encoding: this.encoding, // Encoding the bytes were decoded with (null for text input)
+            headers: this.headers, // Export headers too for debugging
+            diagnostics: this.diagnostics, // { severity, line, channel, message }, sorted by line
+            random: this.random // { seed, values } - pass values back as options.randomValues to reproduce
         };
     }
 }
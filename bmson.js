@@ -0,0 +1,226 @@
+// bmson.js
+// bmson (JSON BMS) loader producing the same chart object as BMSParser.parse()
+import { TimingMap } from './timing.js';
+import { decodeText } from './encoding.js';
+
+// mode_hint -> key mode (see KEY_LAYOUTS) and bmson lane x -> lane. In beat-* modes x 8 / 16 are the scratches.
+const MODE_HINTS = {
+    'beat-5k': { keyMode: '5K', lanes: { 8: 0, 1: 1, 2: 2, 3: 3, 4: 4, 5: 5 } },
+    'beat-7k': { keyMode: '7K', lanes: { 8: 0, 1: 1, 2: 2, 3: 3, 4: 4, 5: 5, 6: 6, 7: 7 } },
+    'beat-10k': {
+        keyMode: '10K',
+        lanes: { 8: 0, 1: 1, 2: 2, 3: 3, 4: 4, 5: 5, 9: 6, 10: 7, 11: 8, 12: 9, 13: 10, 16: 11 }
+    },
+    'beat-14k': {
+        keyMode: '14K',
+        lanes: { 8: 0, 1: 1, 2: 2, 3: 3, 4: 4, 5: 5, 6: 6, 7: 7, 9: 8, 10: 9, 11: 10, 12: 11, 13: 12, 14: 13, 15: 14, 16: 15 }
+    },
+    'popn-5k': { keyMode: 'popn-5K', lanes: { 1: 0, 2: 1, 3: 2, 4: 3, 5: 4 } },
+    'popn-9k': { keyMode: '9K', lanes: { 1: 0, 2: 1, 3: 2, 4: 3, 5: 4, 6: 5, 7: 6, 8: 7, 9: 8 } }
+};
+const DEFAULT_MODE_HINT = 'beat-7k';
+
+// chart_name -> BMS #DIFFICULTY, for the difficulty tab order
+const CHART_NAMES = { beginner: 1, normal: 2, hyper: 3, another: 4, insane: 5, leggendaria: 5 };
+
+const DEFAULT_RESOLUTION = 240; // Pulses per beat
+const BEATS_PER_MEASURE = 4;
+
+function base36(n) {
+    return n.toString(36).toUpperCase().padStart(2, '0');
+}
+
+export class BMSONParser {
+    // source is the .bmson text, or its bytes (decoded as options.encoding, 'auto' by default)
+    constructor(source, options = {}) {
+        if (typeof source === 'string') {
+            this.text = source;
+            this.encoding = null;
+        } else {
+            ({ text: this.text, encoding: this.encoding } = decodeText(source, options.encoding || 'auto'));
+        }
+        this.options = options;
+        this.diagnostics = []; // { severity, line, channel, message }, as in BMSParser
+    }
+
+    // bmson has no meaningful line numbers; `channel` names the sound channel where there is one
+    diagnose(severity, channel, message) {
+        this.diagnostics.push({ severity, line: null, channel, message });
+    }
+
+    parse() {
+        let bmson = null;
+        try {
+            bmson = JSON.parse(this.text);
+        } catch (e) {
+            this.diagnose('error', null, `bmson 不是有效的 JSON: ${e.message}`);
+        }
+        const valid = bmson !== null && typeof bmson === 'object';
+        if (!valid) bmson = {};
+        const info = bmson.info || {};
+        const resolution = info.resolution > 0 ? info.resolution : DEFAULT_RESOLUTION;
+        const beatOf = (y) => (Number(y) || 0) / resolution;
+
+        let modeHint = String(info.mode_hint || DEFAULT_MODE_HINT).toLowerCase();
+        if (!MODE_HINTS[modeHint]) {
+            this.diagnose('warning', null, `不支持的 mode_hint: ${modeHint}，按 ${DEFAULT_MODE_HINT} 处理`);
+            modeHint = DEFAULT_MODE_HINT;
+        }
+        const mode = MODE_HINTS[modeHint];
+        const laneCount = Math.max(...Object.values(mode.lanes)) + 1;
+
+        const initialBPM = info.init_bpm > 0 ? info.init_bpm : 120;
+        if (valid && !(info.init_bpm > 0)) this.diagnose('error', null, '缺少 info.init_bpm，按 120 BPM 处理');
+        const { timing, bpms, stops } = this.buildTiming(initialBPM, bmson.bpm_events || [], bmson.stop_events || [], beatOf);
+
+        const wavs = {};
+        const notes = [];
+        const bgmEvents = [];
+        (bmson.sound_channels || []).forEach((channel, i) => {
+            const id = base36(i + 1);
+            if (channel.name) wavs[id] = channel.name;
+            this.readSoundChannel(channel, id, mode, timing, beatOf, notes, bgmEvents);
+        });
+        notes.sort((a, b) => a.time - b.time);
+        bgmEvents.sort((a, b) => a.time - b.time);
+
+        const lastBeat = Math.max(0, ...notes.map(n => timing.beatAt(n.time + n.duration)), ...bgmEvents.map(e => timing.beatAt(e.time)));
+        const barLines = this.buildBarLines(bmson.lines, lastBeat, timing, beatOf);
+        const { bmps, bgaEvents } = this.readBGA(bmson.bga || {}, timing, beatOf);
+
+        const headers = {
+            TITLE: info.title || '',
+            SUBTITLE: info.subtitle || '',
+            ARTIST: info.artist || '',
+            SUBARTIST: (info.subartists || []).join(' / '),
+            GENRE: info.genre || '',
+            PLAYLEVEL: info.level !== undefined ? String(info.level) : '',
+            BPM: String(initialBPM),
+            MODEHINT: modeHint
+        };
+        if (info.chart_name) {
+            headers['CHARTNAME'] = info.chart_name;
+            const difficulty = CHART_NAMES[String(info.chart_name).toLowerCase()];
+            if (difficulty) headers['DIFFICULTY'] = String(difficulty);
+        }
+        if (info.judge_rank !== undefined) headers['JUDGERANK'] = String(info.judge_rank); // Percentage, not #RANK
+        if (info.total !== undefined) headers['TOTAL'] = String(info.total);
+        if (info.eyecatch_image) headers['STAGEFILE'] = info.eyecatch_image;
+        if (info.banner_image) headers['BANNER'] = info.banner_image;
+        if (info.back_image) headers['BACKBMP'] = info.back_image;
+
+        return {
+            notes,
+            bgmEvents,
+            wavs,
+            bmps,
+            bgaEvents, // { time, id, layer: 'base' | 'layer' | 'poor' }
+            bpms,
+            stops,
+            timing,
+            barLines,
+            initialBPM,
+            keyMode: mode.keyMode,
+            laneCount,
+            title: info.title || '',
+            artist: info.artist || '',
+            rank: null,
+            encoding: this.encoding,
+            headers,
+            diagnostics: this.diagnostics,
+            random: { seed: 0, values: [] }
+        };
+    }
+
+    // TimingMap from init_bpm, bpm_events and stop_events (stop durations are in pulses)
+    buildTiming(initialBPM, bpmEvents, stopEvents, beatOf) {
+        const events = [
+            ...bpmEvents.map(e => ({ beat: beatOf(e.y), type: 'bpm', value: Number(e.bpm) })),
+            ...stopEvents.map(e => ({ beat: beatOf(e.y), type: 'stop', value: beatOf(e.duration) }))
+        ].filter(e => {
+            if (e.value > 0) return true;
+            this.diagnose('warning', null, `${e.type === 'bpm' ? 'BPM' : 'STOP'} 事件的值无效 (拍 ${e.beat})，已忽略`);
+            return false;
+        }).sort((a, b) => (a.beat - b.beat) || (a.type === 'bpm' ? -1 : 1)); // BPM first at the same pulse
+
+        let bpm = initialBPM;
+        let beat = 0;
+        let time = 0;
+        const segments = [{ beat: 0, time: 0, bpm }];
+        const bpms = [{ time: 0, beat: 0, bpm }];
+        const stops = [];
+        for (const ev of events) {
+            time += (ev.beat - beat) * 60 / bpm;
+            beat = ev.beat;
+            if (ev.type === 'bpm') {
+                if (ev.value === bpm) continue;
+                bpm = ev.value;
+                segments.push({ beat, time, bpm });
+                bpms.push({ time, beat, bpm });
+            } else {
+                const duration = ev.value * 60 / bpm;
+                segments.push({ beat, time, bpm: 0 });
+                stops.push({ time, beat, duration });
+                time += duration;
+                segments.push({ beat, time, bpm });
+            }
+        }
+        return { timing: new TimingMap(segments), bpms, stops };
+    }
+
+    // Notes of one sound channel. x 0 (or a lane the mode doesn't have) is background sound; l > 0 is an LN.
+    // A note with c: true continues the sample from where the channel last restarted instead of restarting it,
+    // so it gets the offset into the sample to play from.
+    readSoundChannel(channel, id, mode, timing, beatOf, notes, bgmEvents) {
+        const list = [...(channel.notes || [])].sort((a, b) => (Number(a.y) || 0) - (Number(b.y) || 0));
+        let restart = 0; // Time the sample was last started from its beginning
+        for (const n of list) {
+            const time = timing.timeAt(beatOf(n.y));
+            if (!n.c) restart = time;
+            const offset = n.c ? time - restart : 0;
+            const x = Number(n.x) || 0;
+            const lane = mode.lanes[x];
+            if (x !== 0 && lane === undefined) {
+                this.diagnose('warning', channel.name || id, `轨道 x=${x} 不属于当前模式，已作为背景音处理`);
+            }
+            if (lane === undefined) {
+                bgmEvents.push(offset > 0 ? { time, id, offset } : { time, id });
+                continue;
+            }
+            const length = beatOf(n.l);
+            const note = length > 0
+                ? { time, lane, type: 'ln', duration: timing.timeAt(beatOf(n.y) + length) - time, sampleId: id }
+                : { time, lane, type: 'tap', duration: 0, sampleId: id };
+            if (offset > 0) note.sampleOffset = offset;
+            notes.push(note);
+        }
+    }
+
+    // Bar lines from `lines` (pulse positions); every 4 beats when the file has none
+    buildBarLines(lines, lastBeat, timing, beatOf) {
+        let beats = (lines || []).map(l => beatOf(l.y)).sort((a, b) => a - b);
+        if (beats.length === 0) {
+            beats = [];
+            for (let b = 0; b <= lastBeat + BEATS_PER_MEASURE; b += BEATS_PER_MEASURE) beats.push(b);
+        }
+        return beats.map((beat, measure) => ({ measure, beat, time: timing.timeAt(beat) }));
+    }
+
+    // bga_header ids -> images (as two-character #BMP-style ids) and the base/layer/poor events
+    readBGA(bga, timing, beatOf) {
+        const idOf = (n) => (n >= 0 && n < 36 * 36 ? base36(n) : String(n));
+        const bmps = {};
+        for (const h of bga.bga_header || []) {
+            if (h.name) bmps[idOf(Number(h.id))] = h.name;
+        }
+        const bgaEvents = [];
+        for (const [key, layer] of [['bga_events', 'base'], ['layer_events', 'layer'], ['poor_events', 'poor']]) {
+            for (const e of bga[key] || []) {
+                const id = idOf(Number(e.id));
+                if (!bmps[id]) this.diagnose('warning', null, `BGA 事件引用了未定义的图片 ${e.id}`);
+                bgaEvents.push({ time: timing.timeAt(beatOf(e.y)), id, layer });
+            }
+        }
+        return { bmps, bgaEvents: bgaEvents.sort((a, b) => a.time - b.time) };
+    }
+}
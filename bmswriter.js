@@ -0,0 +1,329 @@
+// bmswriter.js
+// Serializes a chart object (from BMSParser.parse() or any other format's parser) back to BMS text
+import { KEY_LAYOUTS, detectKeyMode } from './bms.js';
+
+const BEATS_PER_MEASURE = 4;
+// Finest grid tried when quantizing a measure; events that fit no grid up to this are rounded onto it
+const MAX_RESOLUTION = 960;
+const GRID_EPSILON = 1e-4; // In grid steps
+const MAX_MEASURE = 999;
+const STOP_TICKS_PER_BEAT = 48; // #STOPxx unit: 1/192 of a 4/4 measure
+
+// Headers copied from the chart when present, in this order
+const COPIED_HEADERS = ['GENRE', 'SUBTITLE', 'SUBARTIST', 'PLAYLEVEL', 'DIFFICULTY', 'TOTAL', 'STAGEFILE', 'BANNER', 'BACKBMP'];
+
+function base36(n) {
+    return n.toString(36).toUpperCase().padStart(2, '0');
+}
+
+// Two-character object ids 01..ZZ, handed out in order and skipping reserved ones
+class IdAllocator {
+    constructor(reserved = []) {
+        this.used = new Set(reserved);
+        this.next = 1;
+    }
+
+    take() {
+        while (this.next < 36 * 36 && this.used.has(base36(this.next))) this.next++;
+        if (this.next >= 36 * 36) return null;
+        const id = base36(this.next++);
+        this.used.add(id);
+        return id;
+    }
+}
+
+// Whether BMSParser's key-mode detection maps the channels back to the same lanes
+function keepsLanes(layout, usedLanes) {
+    const found = detectKeyMode(usedLanes.map(lane => layout[lane])).layout;
+    return usedLanes.every(lane => found.indexOf(layout[lane]) === lane);
+}
+
+// Channel of each lane: the chart's own layout or another one with the same lane count, preferring one that
+// reads back with the same lanes; 11-19, 21-29 when no layout has that many lanes
+function laneChannels(keyMode, laneCount, usedLanes) {
+    const candidates = [KEY_LAYOUTS[keyMode], ...Object.values(KEY_LAYOUTS)].filter(l => l?.length === laneCount);
+    const sequential = Array.from({ length: laneCount }, (_, i) => `${1 + Math.floor(i / 9)}${(i % 9) + 1}`);
+    return candidates.find(layout => keepsLanes(layout, usedLanes)) || candidates[0] || sequential;
+}
+
+// Smallest grid that holds every fraction, else MAX_RESOLUTION
+function gridFor(fractions) {
+    for (let n = 1; n <= MAX_RESOLUTION; n++) {
+        if (fractions.every(f => Math.abs(f * n - Math.round(f * n)) < GRID_EPSILON)) return n;
+    }
+    return MAX_RESOLUTION;
+}
+
+// Landmine object value: its damage in base 36, ZZ for the whole HP
+function mineValue(damage) {
+    return damage >= 100 ? 'ZZ' : base36(Math.max(1, Math.round(damage || 0)));
+}
+
+function formatNumber(value) {
+    return String(parseFloat(value.toFixed(9)));
+}
+
+export class BMSWriter {
+    // chart: the object returned by parse()
+    constructor(chart) {
+        this.chart = chart;
+        this.warnings = []; // Things the BMS file cannot express exactly
+    }
+
+    warn(message) {
+        this.warnings.push(message);
+    }
+
+    write() {
+        const chart = this.chart;
+        const timing = chart.timing;
+        // Beat 0 of the file is the chart's time 0 (imported charts may start their beats elsewhere)
+        this.origin = timing.beatAt(0);
+        this.buildMeasures();
+
+        const wavIds = this.assignWavIds();
+        const lines = [];
+        const header = (key, value) => lines.push(value === undefined || value === null || value === '' ? `#${key}` : `#${key} ${value}`);
+        const h = chart.headers || {};
+        const initialBPM = this.initialBPM();
+
+        lines.push('', '*---------------------- HEADER FIELD', '');
+        header('PLAYER', 1);
+        header('GENRE', h['GENRE'] || '');
+        header('TITLE', chart.title || h['TITLE'] || '');
+        header('ARTIST', chart.artist || h['ARTIST'] || '');
+        header('BPM', formatNumber(initialBPM));
+        for (const key of COPIED_HEADERS.slice(1)) if (h[key]) header(key, h[key]);
+        if (chart.rank !== null && chart.rank !== undefined) header('RANK', chart.rank);
+        // Long notes are written as LNTYPE 1: start and end objects on the 5x/6x channel
+        if (chart.notes.some(n => n.type === 'ln')) header('LNTYPE', 1);
+        lines.push('');
+
+        for (const [id, name] of wavIds.defs) header(`WAV${id}`, name);
+        for (const [id, name] of Object.entries(chart.bmps || {})) header(`BMP${id}`, name);
+
+        const data = new Map(); // measure -> [{ channel, fraction, id }]
+        const put = (measure, channel, fraction, id) => {
+            if (!data.has(measure)) data.set(measure, []);
+            data.get(measure).push({ channel, fraction, id });
+        };
+        this.writeTiming(put, lines, header);
+        this.writeObjects(put, wavIds);
+
+        lines.push('', '', '*---------------------- MAIN DATA FIELD', '');
+        for (let m = 0; m < this.measures.length; m++) {
+            const length = this.measures[m].length / BEATS_PER_MEASURE;
+            if (Math.abs(length - 1) > 1e-9) lines.push(`#${this.measureLabel(m)}02:${formatNumber(length)}`);
+            lines.push(...this.measureLines(m, data.get(m) || []));
+        }
+        lines.push('');
+        return lines.join('\n');
+    }
+
+    // Measures as { start, length } in file beats, from the chart's bar lines (4 beats each past the last one)
+    buildMeasures() {
+        const chart = this.chart;
+        const toFileBeat = (time) => chart.timing.beatAt(time) - this.origin;
+        let end = 0;
+        for (const n of chart.notes) end = Math.max(end, toFileBeat(n.time + (n.duration || 0)));
+        for (const e of chart.bgmEvents || []) end = Math.max(end, toFileBeat(e.time));
+        for (const s of chart.stops || []) end = Math.max(end, s.beat - this.origin);
+        for (const b of chart.bpms || []) end = Math.max(end, b.beat - this.origin);
+
+        const bars = [0];
+        for (const bar of chart.barLines || []) {
+            const beat = bar.beat - this.origin;
+            if (beat > bars[bars.length - 1] + 1e-6) bars.push(beat);
+        }
+        while (bars[bars.length - 1] <= end + 1e-6) bars.push(bars[bars.length - 1] + BEATS_PER_MEASURE);
+        this.measures = bars.slice(0, -1).map((start, i) => ({ start, length: bars[i + 1] - start }));
+        if (this.measures.length > MAX_MEASURE + 1) {
+            this.warn(`谱面超过 ${MAX_MEASURE + 1} 个小节，之后的内容无法写出`);
+            this.measures.length = MAX_MEASURE + 1;
+        }
+    }
+
+    // { measure, fraction } of a file beat; null past the last writable measure
+    locate(beat) {
+        const ms = this.measures;
+        let lo = 0;
+        let hi = ms.length - 1;
+        while (lo < hi) {
+            const mid = (lo + hi + 1) >> 1;
+            if (ms[mid].start <= beat + 1e-9) lo = mid;
+            else hi = mid - 1;
+        }
+        const m = ms[lo];
+        const fraction = (beat - m.start) / m.length;
+        if (beat < -1e-9) return null;
+        // Within half a step of the finest grid from the end: the next measure's first slot
+        if (fraction > 1 - 0.5 / MAX_RESOLUTION) {
+            return lo + 1 < ms.length && fraction < 1 + 1e-9 ? { measure: lo + 1, fraction: 0 } : null;
+        }
+        return { measure: lo, fraction: Math.max(0, fraction) };
+    }
+
+    locateTime(time) {
+        return this.locate(this.chart.timing.beatAt(time) - this.origin);
+    }
+
+    measureLabel(m) {
+        return String(m).padStart(3, '0');
+    }
+
+    initialBPM() {
+        const bpm = this.chart.timing.bpmAt(0);
+        if (bpm > 0) return bpm;
+        // Time 0 falls inside a STOP: the BPM it resumes with
+        return this.chart.timing.segments.find(s => s.bpm > 0)?.bpm || this.chart.initialBPM || 120;
+    }
+
+    // Sample ids: BMS-style ids are kept, everything else ('00', OJM numbers, ...) gets a free id.
+    // Notes without a sample use one more free id that has no #WAV line.
+    assignWavIds() {
+        const chart = this.chart;
+        const valid = (id) => /^[0-9A-Z]{2}$/.test(id) && id !== '00';
+        const used = Object.keys(chart.wavs || {}).filter(valid);
+        const ids = new IdAllocator(used);
+        const map = new Map(); // chart sample id -> file id
+        const defs = [];
+        for (const [id, name] of Object.entries(chart.wavs || {})) {
+            const fileId = valid(id) ? id : ids.take();
+            if (!fileId) {
+                this.warn(`音源数量超过 ${36 * 36 - 1} 个，#WAV ${name} 无法写出`);
+                continue;
+            }
+            map.set(id, fileId);
+            defs.push([fileId, name]);
+        }
+        defs.sort((a, b) => parseInt(a[0], 36) - parseInt(b[0], 36));
+        const silent = ids.take() || 'ZZ';
+        return { defs, silent, of: (sampleId) => (sampleId !== null && sampleId !== undefined && map.get(sampleId)) || silent };
+    }
+
+    // BPM changes (03 for whole numbers up to FF, else 08 with #BPMxx) and STOPs (09 with #STOPxx)
+    writeTiming(put, lines, header) {
+        const chart = this.chart;
+        const bpmIds = new IdAllocator();
+        const stopIds = new IdAllocator();
+        const bpmDefs = new Map(); // value -> id
+        const stopDefs = new Map();
+        const defId = (defs, alloc, value, kind) => {
+            if (!defs.has(value)) defs.set(value, alloc.take());
+            const id = defs.get(value);
+            if (!id) this.warn(`${kind} 定义超过 ${36 * 36 - 1} 个`);
+            return id;
+        };
+
+        let current = this.initialBPM();
+        for (const change of chart.bpms || []) {
+            const beat = change.beat - this.origin;
+            if (beat <= 1e-9) continue; // Folded into #BPM
+            if (Math.abs(change.bpm - current) < 1e-9) continue;
+            current = change.bpm;
+            const at = this.locate(beat);
+            if (!at) continue;
+            if (Number.isInteger(change.bpm) && change.bpm >= 1 && change.bpm <= 255) {
+                put(at.measure, '03', at.fraction, change.bpm.toString(16).toUpperCase().padStart(2, '0'));
+            } else {
+                const id = defId(bpmDefs, bpmIds, change.bpm, '#BPM');
+                if (id) put(at.measure, '08', at.fraction, id);
+            }
+        }
+        for (const stop of chart.stops || []) {
+            const at = this.locate(stop.beat - this.origin);
+            if (!at) continue;
+            // The BPM the STOP resumes with (a BPM change on the same beat comes first)
+            const bpm = chart.timing.bpmAt(stop.time + stop.duration);
+            const exact = stop.duration * bpm / 60 * STOP_TICKS_PER_BEAT;
+            const ticks = Math.round(exact);
+            if (Math.abs(ticks - exact) > 1e-6) this.warn(`STOP (${stop.duration.toFixed(3)}s) 已取整为 ${ticks}/192 小节`);
+            if (ticks <= 0) continue;
+            const id = defId(stopDefs, stopIds, ticks, '#STOP');
+            if (id) put(at.measure, '09', at.fraction, id);
+        }
+        for (const [value, id] of bpmDefs) if (id) header(`BPM${id}`, formatNumber(value));
+        for (const [value, id] of stopDefs) if (id) header(`STOP${id}`, value);
+    }
+
+    // Notes (1x/2x, LNs on 5x/6x, invisible notes on 3x/4x, landmines on Dx/Ex) and BGM samples (01)
+    writeObjects(put, wavIds) {
+        const chart = this.chart;
+        const usedLanes = [...new Set(chart.notes.map(n => n.lane))].sort((a, b) => a - b);
+        const channels = laneChannels(chart.keyMode, chart.laneCount, usedLanes);
+        if (!keepsLanes(channels, usedLanes)) this.warn('BMS 的键位识别无法还原这个轨道布局，重新读取时轨道可能移动');
+        const lnEnds = new Map(); // lane -> end time of its last LN
+        let dropped = 0;
+        for (const note of [...chart.notes].sort((a, b) => a.time - b.time)) {
+            const channel = channels[note.lane];
+            const at = this.locateTime(note.time);
+            if (!channel || !at) {
+                dropped++;
+                continue;
+            }
+            const id = wavIds.of(note.sampleId);
+            if (note.type === 'invisible' || note.type === 'mine') {
+                const p1 = channel[0] === '1';
+                if (note.type === 'mine') put(at.measure, (p1 ? 'D' : 'E') + channel[1], at.fraction, mineValue(note.damage));
+                else put(at.measure, (p1 ? '3' : '4') + channel[1], at.fraction, id);
+                continue;
+            }
+            // An LN starting where the previous one in its lane ends can't be told apart from that end in LNTYPE 1
+            const touching = note.type === 'ln' && lnEnds.has(note.lane) && note.time - lnEnds.get(note.lane) < 1e-6;
+            if (touching) this.warn(`轨道 ${note.lane + 1} 在 ${note.time.toFixed(3)}s 的长条紧接上一个长条，已写为普通音符`);
+            if (note.type !== 'ln' || touching) {
+                put(at.measure, channel, at.fraction, id);
+                continue;
+            }
+            const lnChannel = String(Number(channel[0]) + 4) + channel[1];
+            const end = this.locateTime(note.time + note.duration);
+            if (!end) {
+                dropped++;
+                continue;
+            }
+            put(at.measure, lnChannel, at.fraction, id);
+            put(end.measure, lnChannel, end.fraction, id);
+            lnEnds.set(note.lane, note.time + note.duration);
+        }
+        for (const ev of chart.bgmEvents || []) {
+            const at = this.locateTime(ev.time);
+            if (at) put(at.measure, '01', at.fraction, wavIds.of(ev.id));
+            else dropped++;
+        }
+        if (dropped > 0) this.warn(`${dropped} 个物件不在可写出的范围内，已省略`);
+    }
+
+    // Data lines of one measure: one line per channel (several for overlapping BGM)
+    measureLines(m, events) {
+        const byChannel = new Map();
+        for (const ev of events) {
+            if (!byChannel.has(ev.channel)) byChannel.set(ev.channel, []);
+            byChannel.get(ev.channel).push(ev);
+        }
+        const out = [];
+        const channels = [...byChannel.keys()].sort();
+        for (const channel of channels) {
+            const list = byChannel.get(channel);
+            const grid = gridFor(list.map(ev => ev.fraction));
+            const layers = [];
+            for (const ev of list) {
+                const slot = Math.min(grid - 1, Math.round(ev.fraction * grid));
+                let layer = layers.find(l => l[slot] === undefined);
+                if (!layer) {
+                    if (channel !== '01' && layers.length > 0) {
+                        this.warn(`小节 ${m} 通道 ${channel} 有重叠的物件，已省略`);
+                        continue;
+                    }
+                    layer = [];
+                    layers.push(layer);
+                }
+                layer[slot] = ev.id;
+            }
+            for (const layer of layers) {
+                const cells = Array.from({ length: grid }, (_, i) => layer[i] || '00');
+                out.push(`#${this.measureLabel(m)}${channel}:${cells.join('')}`);
+            }
+        }
+        return out;
+    }
+}
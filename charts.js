@@ -0,0 +1,38 @@
+// charts.js
+// Chart formats by file extension; every parser produces the BMSParser.parse() chart object
+import { BMSParser } from './bms.js';
+import { OsuManiaParser } from './osu.js';
+import { StepManiaParser } from './sm.js';
+import { OJNParser } from './ojn.js';
+import { BMSONParser } from './bmson.js';
+
+// parse(bytes, options) returns a list of charts (a file may hold several difficulties)
+export const CHART_FORMATS = [
+    { name: 'BMS', extensions: ['.bms', '.bme', '.bml', '.pms'], parse: (bytes, options) => [new BMSParser(bytes, options).parse()] },
+    { name: 'bmson', extensions: ['.bmson'], parse: (bytes, options) => [new BMSONParser(bytes, options).parse()] },
+    { name: 'osu!mania', extensions: ['.osu'], parse: (bytes, options) => [new OsuManiaParser(bytes, options).parse()] },
+    { name: 'StepMania', extensions: ['.sm', '.ssc'], parse: (bytes, options) => new StepManiaParser(bytes, options).parse() },
+    { name: 'O2Jam', extensions: ['.ojn'], parse: (bytes, options) => new OJNParser(bytes, options).parse() }
+];
+
+export const CHART_EXTENSIONS = CHART_FORMATS.flatMap(f => f.extensions);
+
+function extOf(filename) {
+    const m = String(filename).match(/\.[^./\\]*$/);
+    return m ? m[0].toLowerCase() : '';
+}
+
+export function isChartFile(filename) {
+    return CHART_EXTENSIONS.includes(extOf(filename));
+}
+
+// Format for a file name; anything unknown (e.g. .txt) is read as BMS
+export function chartFormat(filename) {
+    const ext = extOf(filename);
+    return CHART_FORMATS.find(f => f.extensions.includes(ext)) || CHART_FORMATS[0];
+}
+
+// options are passed to the parser (encoding, seed, keyMode, ...)
+export function parseChartFile(filename, bytes, options = {}) {
+    return chartFormat(filename).parse(bytes, options);
+}
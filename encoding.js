@@ -0,0 +1,82 @@
+// encoding.js
+// Text-encoding detection for chart files (UTF-8, Shift-JIS, GBK/GB2312, EUC-KR)
+
+// Encodings offered for a manual override; values are TextDecoder labels ('gb18030' covers GBK and GB2312)
+export const ENCODINGS = [
+    { key: 'utf-8', name: 'UTF-8' },
+    { key: 'shift_jis', name: 'Shift-JIS' },
+    { key: 'gb18030', name: 'GBK' },
+    { key: 'euc-kr', name: 'EUC-KR' }
+];
+
+// Legacy candidates in tie-break order: most BMS files in the wild are Shift-JIS
+const CANDIDATES = ['shift_jis', 'gb18030', 'euc-kr'];
+
+// How typical a decoded non-ASCII character is for each candidate.
+// Wrong guesses tend to produce half-width katakana (GBK read as Shift-JIS), scattered hanja
+// (GBK read as EUC-KR) or private-use characters.
+function charWeight(encoding, code) {
+    const kana = code >= 0x3040 && code <= 0x30FF;
+    const cjk = code >= 0x4E00 && code <= 0x9FFF;
+    const hangul = code >= 0xAC00 && code <= 0xD7A3;
+    const halfKana = code >= 0xFF61 && code <= 0xFF9F;
+    const privateUse = code >= 0xE000 && code <= 0xF8FF;
+    if (privateUse || code === 0xFFFD) return -2;
+    if (encoding === 'shift_jis') return kana ? 2 : cjk ? 1 : halfKana ? -2 : 0;
+    if (encoding === 'gb18030') return cjk ? 1 : kana ? 0.5 : 0;
+    if (encoding === 'euc-kr') return hangul ? 1.2 : cjk ? 0.3 : 0;
+    return 0;
+}
+
+function toBytes(data) {
+    if (data instanceof Uint8Array) return data;
+    if (ArrayBuffer.isView(data)) return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    return new Uint8Array(data);
+}
+
+function tryDecode(bytes, encoding) {
+    try {
+        return new TextDecoder(encoding, { fatal: true }).decode(bytes);
+    } catch (e) {
+        return null;
+    }
+}
+
+// Best-guess TextDecoder label for raw chart bytes
+export function detectEncoding(data) {
+    const bytes = toBytes(data);
+    if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return 'utf-8';
+    if (bytes[0] === 0xFF && bytes[1] === 0xFE) return 'utf-16le';
+    if (bytes[0] === 0xFE && bytes[1] === 0xFF) return 'utf-16be';
+    // Pure ASCII and valid UTF-8 both decode as UTF-8; legacy multi-byte text is almost never valid UTF-8
+    if (tryDecode(bytes, 'utf-8') !== null) return 'utf-8';
+
+    let best = CANDIDATES[0];
+    let bestScore = -Infinity;
+    for (const encoding of CANDIDATES) {
+        const text = tryDecode(bytes, encoding);
+        if (text === null) continue;
+        let score = 0;
+        let count = 0;
+        for (const ch of text) {
+            const code = ch.codePointAt(0);
+            if (code < 0x80) continue;
+            score += charWeight(encoding, code);
+            count++;
+        }
+        const avg = count > 0 ? score / count : 0;
+        if (avg > bestScore) {
+            best = encoding;
+            bestScore = avg;
+        }
+    }
+    return best;
+}
+
+// Decode chart bytes; encoding is a TextDecoder label or 'auto'. Returns { text, encoding }.
+export function decodeText(data, encoding = 'auto') {
+    const bytes = toBytes(data);
+    const used = encoding === 'auto' ? detectEncoding(bytes) : encoding;
+    // TextDecoder drops a UTF-8 BOM by itself
+    return { text: new TextDecoder(used).decode(bytes), encoding: used };
+}
@@ -2,20 +2,151 @@
 // game.js
 // Core Rhythm Game Logic using Pixi.js
 
+import { KeysoundPlayer } from './keysound.js';
+import { O2Skin, SKIN_IDS } from './skin.js';
+import { loadAtlas } from './atlas.js';
+import { AtlasHUD } from './hud.js';
+import { JUDGE_PROFILES, DEFAULT_JUDGE, judgeTiming } from './judge.js';
+import { computeScore } from './scoring.js';
+import { createReplay, resultDifferences, OFFSET_CHANGE } from './replay.js';
+import { applyModifiers } from './modifiers.js';
+import { randomSeed } from './random.js';
+
 const el = {
     // Only bind bgm here as it's global for timing
     bgm: document.getElementById('bgm'),
-    hudScore: document.getElementById('hud-score'),
     hudAcc: document.getElementById('hud-acc'),
     hudCombo: document.getElementById('hud-combo'),
-    hudComboBox: document.getElementById('hud-combo-box')
+    hudComboBox: document.getElementById('hud-combo-box'),
+    countdown: document.getElementById('pause-countdown')
 };
 
 const DESIGN_WIDTH = 1920;
 const DESIGN_HEIGHT = 1080;
 
+// How far ahead (seconds) channel-01 samples are queued on the AudioContext
+const BGM_LOOKAHEAD = 0.5;
+
+// Share of the playable notes that must have a decoded sample before the chart's samples
+// replace the selected audio file (a chart whose only #WAV is its backing track is not keysounded)
+const KEYSOUND_MIN_NOTES = 0.5;
+
+export const DEFAULT_SKIN = 'source/Skin_1234.xml';
+
+// How long a skin judgment stays on screen after its animation (ms)
+const SKIN_JUDGE_HOLD = 500;
+
+// O2Jam Jam gauge: COOL/GOOD fill it, a full gauge adds one to the Jam combo and starts over,
+// BAD/MISS empty it and break the Jam combo. 50 matches the skins' JamGagu/50 bar.
+const JAM_GAUGE_MAX = 50;
+const JAM_GAIN = { COOL: 2, GOOD: 1 };
+
+// O2Jam points per judgment; COOL/GOOD grow with the current Jam combo
+function judgmentScore(judge, jam) {
+    if (judge === 'COOL') return 200 + 10 * jam;
+    if (judge === 'GOOD') return 100 + 5 * jam;
+    if (judge === 'BAD') return 4;
+    return -10; // MISS
+}
+
+function createStats() {
+    return { combo: 0, score: 0, cool: 0, good: 0, bad: 0, miss: 0, maxCombo: 0, jam: 0, maxJam: 0, jamGauge: 0, ticks: 0, hp: 100 };
+}
+
+// Long-note rules (RhythmGame.lnRule picks one by key):
+//   tail   'auto'    holding through the end is a COOL; an early release is judged against the end
+//          'release' the release is always judged against the end; holding past the BAD window (plus the
+//                    judge profile's lnTolerance) is a MISS
+//   tick   seconds between hold ticks (+1 combo each while held), 0 for none
+//   regrab pressing again inside a broken long note resumes the hold (the break still counts as a MISS)
+export const LN_RULES = {
+    o2jam:      { name: 'O2Jam', tail: 'auto', tick: 0, regrab: false },
+    beatmania:  { name: 'CN', tail: 'release', tick: 0, regrab: false },
+    hellcharge: { name: 'HCN', tail: 'release', tick: 0.1, regrab: true }
+};
+
+// Alpha of a long note's body and tail after its hold was broken
+const BROKEN_LN_ALPHA = 0.35;
+
+// Practice / replay playback rate limits
+const MIN_PLAYBACK_RATE = 0.5;
+const MAX_PLAYBACK_RATE = 2.0;
+
+// Replay playback controls: seconds per seek step and playback rate step
+const REPLAY_SEEK_STEP = 5;
+const REPLAY_RATE_STEP = 0.25;
+
+// Seconds counted down before a paused song continues
+const RESUME_COUNTDOWN = 3;
+
+// Landmines (drawn with the built-in texture, skins have none)
+const MINE_COLOR = 0xff3b3b;
+const MINE_DEFAULT_DAMAGE = 10; // HP points, for mines without a damage value
+
+// Scroll modes (RhythmGame.scrollMode):
+//   time   note distance follows time only; BPM changes and STOPs do not change the spacing
+//   bpm    distance follows beats, scaled so baseBPM (default: the chart's initial BPM) scrolls like 'time';
+//          STOPs freeze the notes
+//   o2jam  distance follows beats at a fixed reference BPM, so faster songs scroll faster, as in O2Jam
+export const SCROLL_MODES = ['time', 'bpm', 'o2jam'];
+const O2JAM_REFERENCE_BPM = 120;
+
+// Visibility modifiers (RhythmGame.visibility = { mode, top, bottom }): covers over the top (SUDDEN) and the
+// bottom (HIDDEN) of the lanes. top / bottom are cover heights as fractions of the lanes above the judge line,
+// starting at the mode's values; the covers a mode has can be moved during play (SUDDEN+ / HIDDEN+).
+// Fade modes ramp from opaque to clear over the cover instead of a hard edge.
+export const VISIBILITY_MODES = {
+    off:     { name: 'OFF', top: 0, bottom: 0 },
+    sudden:  { name: 'SUDDEN', top: 0.35, bottom: 0 },
+    hidden:  { name: 'HIDDEN', top: 0, bottom: 0.35 },
+    hidsud:  { name: 'HID+SUD', top: 0.25, bottom: 0.25 },
+    fadein:  { name: 'FADE-IN', top: 0.4, bottom: 0, fade: true },
+    fadeout: { name: 'FADE-OUT', top: 0, bottom: 0.4, fade: true }
+};
+const MAX_COVER = 0.9; // Top and bottom covers together
+const COVER_STEP = 0.02;
+const COVER_COLOR = 0x0b0b14;
+const COVER_EDGE_COLOR = 0x00d2ff;
+const FADE_STEPS = 24;
+// KeyboardEvent.code -> [cover, change] for moving the covers during play
+const COVER_KEYS = {
+    Equal: ['top', COVER_STEP],
+    Minus: ['top', -COVER_STEP],
+    BracketRight: ['bottom', COVER_STEP],
+    BracketLeft: ['bottom', -COVER_STEP]
+};
+const GREEN_NUMBER_COLOR = 0x7dff6b;
+
+const BAR_LINE_COLOR = 0xffffff;
+const BPM_MARKER_COLOR = 0x7dff6b;
+
+// HUD sprite sheet (docs/ucs.json rects are BG.png coordinates for the HUD parts)
+const HUD_ATLAS = 'docs/ucs.json';
+const HUD_IMAGE = 'source/BG.png';
+// BG2.png is the playfield column of the skin panel, which starts at x=285 in skin coordinates
+const LEGACY_PANEL_X = 285;
+
+// Default key binding per key mode (KeyboardEvent.code per lane, left to right).
+// Modes without an entry get the first N keys of FALLBACK_KEYS.
+export const KEY_BINDINGS = {
+    '4K':    ['KeyD', 'KeyF', 'KeyJ', 'KeyK'],
+    '4K-B':  ['KeyD', 'KeyF', 'KeyJ', 'KeyK'],
+    '5K':    ['ShiftLeft', 'KeyD', 'KeyF', 'Space', 'KeyJ', 'KeyK'],
+    '6K':    ['KeyS', 'KeyD', 'KeyF', 'KeyJ', 'KeyK', 'KeyL'],
+    '7K':    ['ShiftLeft', 'KeyS', 'KeyD', 'KeyF', 'Space', 'KeyJ', 'KeyK', 'KeyL'],
+    'O2-7K': ['KeyS', 'KeyD', 'KeyF', 'Space', 'KeyJ', 'KeyK', 'KeyL'],
+    '9K':    ['KeyA', 'KeyS', 'KeyD', 'KeyF', 'Space', 'KeyJ', 'KeyK', 'KeyL', 'Semicolon'],
+    '5K-2P': ['KeyD', 'KeyF', 'Space', 'KeyJ', 'KeyK', 'ShiftRight'],
+    '7K-2P': ['KeyS', 'KeyD', 'KeyF', 'Space', 'KeyJ', 'KeyK', 'KeyL', 'ShiftRight']
+};
+const FALLBACK_KEYS = [
+    'KeyA', 'KeyS', 'KeyD', 'KeyF', 'KeyG', 'KeyH', 'KeyJ', 'KeyK', 'KeyL', 'Semicolon', 'Quote',
+    'KeyZ', 'KeyX', 'KeyC', 'KeyV', 'KeyB', 'KeyN', 'KeyM', 'Comma', 'Period', 'Slash'
+];
+
 export class RhythmGame {
-    constructor(container) {
+    // options.skinUrl  Skin_*.xml to draw with (DEFAULT_SKIN if omitted, null for the built-in textures)
+    constructor(container, options = {}) {
         this.app = new PIXI.Application({
             resizeTo: container,
             backgroundAlpha: 0,
@@ -49,17 +180,35 @@ export class RhythmGame {
         
         // Constants
         this.LANE_COUNT = 4;
-        this.LANE_WIDTH = 333 / 4; // Adjusted for 333px total width
+        this.trackWidth = 333; // Width all lanes share; 333px until the BG or a skin gives one
+        this.trackLeft = null; // Left edge of the track, null to center it
+        this.LANE_WIDTH = this.trackWidth / this.LANE_COUNT;
         this.HIT_Y = this.height - 108; // Moved down by 42px (was -150)
         this.SPEED = 1.5; 
         this.OFFSET = 0.0; // Reset to 0, using AudioContext logic for precision
         this.GLOBAL_OFFSET = 0.0; // Reset to 0 as we implemented proper BGM delay
+        this.playerOffset = 0; // The player's offset, put back after a replay played with its recorded one
         
         // Audio Context
         this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
         this.audioBuffer = null;
         this.audioSource = null;
-        this.audioStartTime = 0;
+        this.audioStartTime = 0; // AudioContext time of chart time 0
+        this.playbackRate = 1; // Chart seconds per AudioContext second
+        this.startFrom = 0; // Chart time the current run started at
+        this.bgmDelay = 0; // Chart time of the audio file's start (single-audio mode)
+
+        // Practice mode: { start, loopA, loopB, rate } in chart seconds (null entries unused), or null.
+        // Loops from loopA once loopB is reached; results are flagged as practice.
+        this.practice = null;
+
+        // Keysounds (#WAVxx). When most notes have a decoded sample (or no audio file was chosen),
+        // the chart drives all audio; otherwise we play the single audio file.
+        this.keysounds = new KeysoundPlayer(this.audioContext);
+        this.keysoundMode = false;
+        this.bgmCursor = 0;
+        this.songEndTime = 0;
+        this.finished = false;
 
         // Layers
         this.stage = this.app.stage;
@@ -71,6 +220,10 @@ export class RhythmGame {
         this.bgSprite = new PIXI.Sprite();
         this.bgSprite.anchor.set(0.5, 0.5);
         this.gameContainer.addChild(this.bgSprite);
+
+        // Skin panel (replaces bgSprite when the skin draws this chart's lanes)
+        this.panelLayer = new PIXI.Container();
+        this.gameContainer.addChild(this.panelLayer);
         
         // Internal Layers for proper Z-indexing
         this.laneLayer = new PIXI.Container();
@@ -82,38 +235,58 @@ export class RhythmGame {
         this.gameContainer.addChild(this.laneLayer);
         this.gameContainer.addChild(this.judgeLayer);
         this.gameContainer.addChild(this.keyLayer);
+        this.gridLayer = new PIXI.Container(); // Measure lines and BPM markers, under the notes
+        this.gameContainer.addChild(this.gridLayer);
         this.gameContainer.addChild(this.notesLayer);
+        this.coverLayer = new PIXI.Graphics(); // SUDDEN / HIDDEN lane covers, over the notes
+        this.gameContainer.addChild(this.coverLayer);
         this.gameContainer.addChild(this.effectsLayer);
+
+        // HUD (score, HP, progress, Jam) from the atlas, scaled with the playfield
+        this.hud = null;
+        this.hudLayer = new PIXI.Container();
+        this.gameContainer.addChild(this.hudLayer);
+        this.loadHUD();
         
         // Assets
+        // The built-in textures are the fallback for charts the skin has no columns for
         this.textures = {};
         this.assetsLoaded = false;
         this.loadAssets();
+        this.skin = null;
+        this.skinLayout = null; // Per-lane skin geometry when the skin covers LANE_COUNT lanes
+        this.setSkin(options.skinUrl !== undefined ? options.skinUrl : DEFAULT_SKIN);
 
         // State
         this.notes = [];
         this.runtimeNotes = [];
+        this.invisibleNotes = []; // Never drawn or judged; an empty key press plays the nearest one's sample
         this.startTime = 0;
         this.isPlaying = false;
+        this.paused = false;
+        this.pausedAt = 0; // Chart clock when paused
+        this.resumeRun = 0; // Bumped to cancel a running resume countdown
+        this.pausedHolds = new Set(); // Lanes holding a long note when the song was paused
+        this.recording = null; // Inputs of the current run (replay.js), null when not recorded
+        this.lastReplay = null; // Replay of the last finished or failed run
+        this.fastForward = false; // Judging without sounds or effects while a replay seeks
         
-        this.stats = {
-            combo: 0,
-            score: 0,
-            cool: 0,
-            good: 0,
-            bad: 0,
-            miss: 0,
-            maxCombo: 0,
-            comboBonus: 0,
-            hp: 100
-        };
+        this.stats = createStats();
         
         // Input
-        this.keys = { 'KeyD': 3, 'KeyF': 0, 'KeyJ': 1, 'KeyK': 2 };
-        this.heldLanes = [false, false, false, false];
-        this.laneColumn = [1, 2, 3, 0];
+        this.keyMode = '4K';
+        this.keys = {}; // KeyboardEvent.code -> lane
+        this.heldLanes = [];
+        this.setLaneCount(this.LANE_COUNT, this.keyMode);
         this.speedMultiplier = 1;
         this.autoDemo = false;
+        this.lnRule = 'o2jam'; // key of LN_RULES
+        this.judge = JUDGE_PROFILES[DEFAULT_JUDGE]; // judge profile (judge.js)
+        this.scrollMode = 'time'; // one of SCROLL_MODES
+        this.baseBPM = null; // 'bpm' scroll mode reference; null = the chart's initial BPM
+        this.replay = null; // Replay to play back instead of the keyboard (replay.js)
+        this.modifiers = { lane: null, ln: null, seed: null }; // modifiers.js; seed null = a new one every run
+        this.visibility = { mode: 'off', top: 0, bottom: 0 }; // See VISIBILITY_MODES
         
         window.addEventListener('keydown', this.onKeyDown.bind(this));
         window.addEventListener('keyup', this.onKeyUp.bind(this));
@@ -131,9 +304,8 @@ export class RhythmGame {
             this.textures.ln1 = await PIXI.Assets.load('source/ln1.png');
             this.textures.ln2 = await PIXI.Assets.load('source/ln2.png');
             
-            // Assign textures based on lane type
-            // Outer lanes (0, 3) use note1/ln1
-            // Inner lanes (1, 2) use note2/ln2
+            // Assign textures based on lane type (see laneTextures)
+            // Outer lanes use note1/ln1, the next lanes in use note2/ln2, alternating
             this.textures.noteA = this.textures.note1;
             this.textures.noteB = this.textures.note2;
             this.textures.lnA = this.textures.ln1;
@@ -199,7 +371,7 @@ export class RhythmGame {
         // Key Press Sprites (Removed)
         this.keySprites = [];
         /*
-        for(let lane=0; lane<4; lane++) {
+        for(let lane=0; lane<this.LANE_COUNT; lane++) {
             const spr = new PIXI.Sprite();
             spr.anchor.set(0.5, 1); // Anchor at bottom center
             spr.visible = false;
@@ -235,6 +407,20 @@ export class RhythmGame {
         this.speedText.anchor.set(1, 0);
         this.speedText.position.set(this.width - 20, 44);
         this.gameContainer.addChild(this.speedText);
+        // Green number: how long a note is visible between the covers at the current BPM
+        this.greenText = new PIXI.Text('', {
+            fontFamily: 'Arial',
+            fontSize: 16,
+            fill: GREEN_NUMBER_COLOR,
+            align: 'right',
+            dropShadow: true,
+            dropShadowColor: '#000000',
+            dropShadowBlur: 4,
+            dropShadowDistance: 2
+        });
+        this.greenText.anchor.set(1, 0);
+        this.greenText.position.set(this.width - 20, 68);
+        this.gameContainer.addChild(this.greenText);
         this.comboSprite = new PIXI.Sprite(this.textures.tCombo || PIXI.Texture.EMPTY);
         this.comboSprite.anchor.set(0.5, 0.5);
         this.comboSprite.visible = false;
@@ -248,6 +434,235 @@ export class RhythmGame {
         this.drawLayout();
     }
     
+    // Resize the playfield and input map for a chart's key mode
+    setLaneCount(count, keyMode) {
+        this.LANE_COUNT = Math.max(1, count);
+        this.keyMode = keyMode;
+        const codes = KEY_BINDINGS[keyMode]?.length === this.LANE_COUNT
+            ? KEY_BINDINGS[keyMode]
+            : FALLBACK_KEYS.slice(0, this.LANE_COUNT);
+        this.keys = {};
+        codes.forEach((code, lane) => { this.keys[code] = lane; });
+        this.heldLanes = new Array(this.LANE_COUNT).fill(false);
+        this.updateLaneGeometry();
+        if (this.laneGraphics) this.drawLayout();
+    }
+
+    // Lane width and left edge for LANE_COUNT lanes across the current track (see drawLayout / applySkinLayout)
+    updateLaneGeometry() {
+        this.LANE_WIDTH = this.trackWidth / this.LANE_COUNT;
+        // Ensure reasonable defaults if BG failed
+        if (!this.LANE_WIDTH || this.LANE_WIDTH < 10) this.LANE_WIDTH = 333 / this.LANE_COUNT;
+        this.startX = this.trackLeft ?? (this.width - this.LANE_COUNT * this.LANE_WIDTH) / 2;
+    }
+
+    async loadHUD() {
+        try {
+            const textures = await loadAtlas(HUD_ATLAS, HUD_IMAGE);
+            this.hud = new AtlasHUD(textures);
+            this.hudLayer.addChild(this.hud.container);
+            this.layoutHUD();
+            this.updateHUD();
+        } catch (e) {
+            console.error('Failed to load HUD atlas:', e);
+        }
+    }
+
+    // The HUD uses skin coordinates: follow the skin transform, or the BG2 column without a skin
+    layoutHUD() {
+        if (!this.hud) return;
+        if (this.skinLayout) {
+            this.hud.place(this.skinLayout.x0, this.skinLayout.y0, this.skinLayout.scale);
+            return;
+        }
+        const tex = this.bgSprite.texture;
+        if (tex && tex !== PIXI.Texture.EMPTY) {
+            const scale = this.bgSprite.scale.x;
+            const left = this.bgSprite.x - tex.width * scale / 2;
+            this.hud.place(left - LEGACY_PANEL_X * scale, this.bgSprite.y - tex.height * scale / 2, scale);
+        } else {
+            const scale = this.height / 536;
+            this.hud.place(this.width / 2 - (LEGACY_PANEL_X + 122) * scale, 0, scale);
+        }
+    }
+
+    // Load (or switch to) an O2Jam skin; null switches to the built-in textures.
+    // start() waits for the skin before building sprites.
+    setSkin(url) {
+        if (this.skinUrl === url && this.skinReady) return this.skinReady;
+        this.skinUrl = url;
+        if (!url) {
+            this.skin = null;
+            if (this.laneGraphics) this.drawLayout();
+            this.skinReady = Promise.resolve();
+            return this.skinReady;
+        }
+        this.skinReady = O2Skin.load(url)
+            .then(skin => {
+                if (this.skinUrl !== url) return;
+                this.skin = skin;
+                if (this.laneGraphics) this.drawLayout();
+            })
+            .catch(e => {
+                console.error(`Failed to load skin ${url}, using built-in textures:`, e);
+                if (this.skinUrl === url) this.skin = null;
+            });
+        return this.skinReady;
+    }
+
+    // Resolve everything the playfield needs from the skin for the current lane count.
+    // Returns null when the skin does not have exactly LANE_COUNT note columns.
+    buildSkinLayout() {
+        const skin = this.skin;
+        if (!skin) return null;
+        const columns = skin.columns();
+        if (columns.length !== this.LANE_COUNT) return null;
+
+        const lanes = columns.map(col => {
+            const note = skin.frame(SKIN_IDS.NOTE + col);
+            const flarePart = skin.part(SKIN_IDS.FLARE + col);
+            const longFlarePart = skin.part(SKIN_IDS.FLARE_LONG + col);
+            return {
+                left: note.x - note.orgx,
+                width: note.destw,
+                note,
+                lnHead: skin.frame(SKIN_IDS.LONGNOTE + col, 0) || note,
+                lnBody: skin.frame(SKIN_IDS.LONGNOTE + col, 1),
+                lnTail: skin.frame(SKIN_IDS.LONGNOTE + col, 2) || note,
+                keyDown: skin.frame(SKIN_IDS.KEYDOWN + col),
+                channelActive: skin.frame(SKIN_IDS.CHANNEL_ACTIVE + col),
+                channelActiveAdd: !!skin.part(SKIN_IDS.CHANNEL_ACTIVE + col)?.additive,
+                flare: { frames: skin.frames(flarePart), fps: flarePart?.frameSpeed || 60, additive: !!flarePart?.additive },
+                longFlare: { frames: skin.frames(longFlarePart), fps: longFlarePart?.frameSpeed || 60, additive: !!longFlarePart?.additive }
+            };
+        });
+        const spanLeft = Math.min(...lanes.map(l => l.left));
+        const spanRight = Math.max(...lanes.map(l => l.left + l.width));
+
+        // Static panel pieces around the lanes, plus background images; the O2Jam status bar
+        // below the playfield and the variable-driven pieces (timer, volume...) are not drawn.
+        const playBottom = skin.info.playArea.y + skin.info.playArea.h;
+        const panel = [];
+        for (const id of [SKIN_IDS.BACKGROUND, SKIN_IDS.PANEL]) {
+            const c = skin.component(id);
+            for (const part of c ? c.parts : []) {
+                if (!skin.isActive(part) || part.dynamic) continue;
+                const f = skin.frames(part)[0];
+                if (!f) continue;
+                const overlapsLanes = f.x - f.orgx < spanRight && f.x - f.orgx + f.destw > spanLeft;
+                if (id === SKIN_IDS.PANEL && !overlapsLanes) continue;
+                panel.push(f);
+            }
+        }
+        // The playfield view ends where the panel around the lanes ends
+        let viewHeight = playBottom;
+        for (const f of panel) {
+            if (f.x - f.orgx < spanRight && f.x - f.orgx + f.destw > spanLeft) {
+                viewHeight = Math.max(viewHeight, f.y - f.orgy + f.desth);
+            }
+        }
+
+        const judgmentPart = (id) => {
+            const part = skin.part(id);
+            return { frames: skin.frames(part), fps: part?.frameSpeed || 60 };
+        };
+        const comboPart = skin.part(SKIN_IDS.COMBO_NUMBER);
+        const comboTextPart = skin.part(SKIN_IDS.COMBO_TEXT);
+
+        const scale = DESIGN_HEIGHT / viewHeight;
+        return {
+            scale,
+            x0: DESIGN_WIDTH / 2 - scale * (spanLeft + spanRight) / 2,
+            y0: 0,
+            spanLeft,
+            spanRight,
+            playBottom,
+            lanes,
+            panel: panel.filter(f => f.y - f.orgy < viewHeight),
+            judgments: {
+                COOL: judgmentPart(SKIN_IDS.JUDGMENT_COOL),
+                GOOD: judgmentPart(SKIN_IDS.JUDGMENT_GOOD),
+                BAD: judgmentPart(SKIN_IDS.JUDGMENT_BAD),
+                MISS: judgmentPart(SKIN_IDS.JUDGMENT_FAIL)
+            },
+            comboFrames: skin.frames(comboPart),
+            comboFps: comboPart?.frameSpeed || 60,
+            comboDigits: Array.from({ length: 10 }, (_, d) => skin.frame(SKIN_IDS.COMBO_NUMBER + d)),
+            comboX: skin.info.comboNumberPos ? skin.info.comboNumberPos.x : (spanLeft + spanRight) / 2,
+            comboText: skin.frames(comboTextPart)
+        };
+    }
+
+    // Skin (800x600) coordinates -> design coordinates
+    skinX(x) {
+        return this.skinLayout.x0 + x * this.skinLayout.scale;
+    }
+    skinY(y) {
+        return this.skinLayout.y0 + y * this.skinLayout.scale;
+    }
+
+    // Sprite for an evaluated skin frame (null if the skin image is missing)
+    createSkinSprite(frame) {
+        const tex = frame ? this.skin.texture(frame) : null;
+        if (!tex) return null;
+        const spr = new PIXI.Sprite(tex);
+        this.applySkinFrame(spr, frame);
+        return spr;
+    }
+
+    // Place a sprite the way the skin frame describes: x/y is the origin point (orgx/orgy
+    // into the destination rectangle), destw/desth the drawn size
+    applySkinFrame(spr, frame) {
+        const tex = this.skin.texture(frame);
+        if (tex) spr.texture = tex;
+        const s = this.skinLayout.scale;
+        spr.anchor.set(frame.destw ? frame.orgx / frame.destw : 0, frame.desth ? frame.orgy / frame.desth : 0);
+        spr.width = frame.destw * s;
+        spr.height = frame.desth * s;
+        spr.position.set(this.skinX(frame.x), this.skinY(frame.y));
+        spr.alpha = frame.alpha;
+    }
+
+    // Step a sprite through skin frames at `fps`; onDone runs after the last frame (unless looping)
+    playSkinFrames(spr, frames, fps, loop, onDone) {
+        if (!frames || frames.length === 0) return null;
+        let elapsed = 0;
+        let idx = 0;
+        this.applySkinFrame(spr, frames[0]);
+        const step = () => {
+            if (spr.destroyed) { this.app.ticker.remove(step); return; }
+            elapsed += this.app.ticker.deltaMS;
+            const next = Math.floor(elapsed * fps / 1000);
+            if (next === idx) return;
+            if (next >= frames.length && !loop) {
+                this.app.ticker.remove(step);
+                if (onDone) onDone();
+                return;
+            }
+            idx = next;
+            this.applySkinFrame(spr, frames[idx % frames.length]);
+        };
+        this.app.ticker.add(step);
+        return step;
+    }
+
+    // Horizontal centre of a lane in design coordinates
+    laneX(lane) {
+        if (this.skinLayout) {
+            const l = this.skinLayout.lanes[lane];
+            return this.skinX(l.left + l.width / 2);
+        }
+        return this.startX + lane * this.LANE_WIDTH + this.LANE_WIDTH / 2;
+    }
+
+    // Note/LN textures alternate from the edges inwards (outer lanes noteA, next noteB, ...)
+    laneTextures(lane) {
+        const fromEdge = Math.min(lane, this.LANE_COUNT - 1 - lane);
+        return fromEdge % 2 === 0
+            ? { note: this.textures.noteA, body: this.textures.lnA }
+            : { note: this.textures.noteB, body: this.textures.lnB };
+    }
+
     drawLayout() {
         // Ensure we are using design resolution
         this.width = DESIGN_WIDTH;
@@ -257,24 +672,22 @@ export class RhythmGame {
         this.HIT_Y = this.height - 123;
         
         // Background Scaling (Fit Height)
+        this.trackWidth = 333;
+        this.trackLeft = null;
         if (this.bgSprite.texture && this.bgSprite.texture !== PIXI.Texture.EMPTY) {
             const scale = this.height / this.bgSprite.texture.height;
             this.bgSprite.scale.set(scale);
             this.bgSprite.position.set(this.width / 2, this.height / 2);
             
-            // Recalculate LANE_WIDTH based on BG width
+            // Track width based on BG width
             // User requested: Track Width = BG Width - 106
             const bgDisplayWidth = this.bgSprite.texture.width * scale;
-            const trackWidth = bgDisplayWidth - 106;
-            this.LANE_WIDTH = trackWidth / this.LANE_COUNT;
+            this.trackWidth = bgDisplayWidth - 106;
         }
 
         // 2. Note Size & Lane Width (Global Reference)
-        // Ensure reasonable defaults if BG failed
-        if (!this.LANE_WIDTH || this.LANE_WIDTH < 10) this.LANE_WIDTH = 333 / 4;
-
+        this.updateLaneGeometry();
         const totalW = this.LANE_COUNT * this.LANE_WIDTH;
-        this.startX = (this.width - totalW) / 2;
         
         // 3. Effect Size (Dynamic based on Lane Width)
         // Base size 240px for ~80px lane. Ratio ~3.0
@@ -287,14 +700,24 @@ export class RhythmGame {
         // 5. Combo Size (Recorded)
         this.COMBO_SCALE = 1.0;
         this.COMBO_Y = this.height * 0.30;
+
+        // 6. Skin geometry replaces the built-in layout when the skin covers every lane
+        this.skinLayout = this.buildSkinLayout();
+        this.bgSprite.visible = !this.skinLayout;
+        this.panelLayer.removeChildren();
+        for (const spr of [...(this.keySprites || []), ...(this.channelBeams || [])]) if (spr) spr.destroy();
+        this.keySprites = [];
+        this.channelBeams = [];
+        this.COMBO_X = null;
+        if (this.skinLayout) this.applySkinLayout();
         
         // Update Combo Position
-        if (this.comboSprite) {
+        if (this.comboSprite && !this.skinLayout) {
             this.comboSprite.position.set(this.width / 2, this.COMBO_Y - 60); // Slightly above digits
             this.comboSprite.scale.set(this.COMBO_SCALE);
         }
         if (this.comboDigits) {
-            this.comboDigits.position.set(this.width / 2, this.COMBO_Y);
+            this.comboDigits.position.set(this.COMBO_X ?? this.width / 2, this.COMBO_Y);
             this.comboDigits.scale.set(this.COMBO_SCALE);
         }
         
@@ -327,13 +750,17 @@ export class RhythmGame {
         this.areaMask.beginFill(0xffffff);
         // Draw from top (including off-screen notes above) to HIT_Y - 9
         // Using a large negative y to ensure we cover notes spawning above
-        this.areaMask.drawRect(0, -2000, this.width, (this.HIT_Y + 9) + 2000); 
+        // Skins clip notes exactly at the bottom of their PlayArea
+        const maskBottom = this.skinLayout ? this.skinY(this.skinLayout.playBottom) : this.HIT_Y + 9;
+        this.areaMask.drawRect(0, -2000, this.width, maskBottom + 2000); 
         this.areaMask.endFill();
         
         // Apply mask to relevant layers
+        // (skin key-down images sit below the judge line, so the key layer is only masked without a skin)
         this.laneLayer.mask = this.areaMask;
         this.notesLayer.mask = this.areaMask;
-        this.keyLayer.mask = this.areaMask;
+        this.gridLayer.mask = this.areaMask;
+        this.keyLayer.mask = this.skinLayout ? null : this.areaMask;
         this.judgeLayer.mask = this.areaMask;
         
         // Key beams (pressed state) -> Replaced by Key Images
@@ -341,8 +768,122 @@ export class RhythmGame {
             this.keyBeams.forEach(b => b.destroy());
         }
         this.keyBeams = []; // Keep array but empty to avoid errors if referenced
+
+        this.drawLaneCovers();
+        this.layoutHUD();
+    }
+
+    // Cover heights in px: the lanes run from the top of the screen down to the judge line
+    coverHeights() {
+        const v = this.visibility;
+        return { top: (v.top || 0) * this.HIT_Y, bottom: (v.bottom || 0) * this.HIT_Y };
+    }
+
+    drawLaneCovers() {
+        const g = this.coverLayer;
+        g.clear();
+        const mode = VISIBILITY_MODES[this.visibility.mode] || VISIBILITY_MODES.off;
+        const { top, bottom } = this.coverHeights();
+        const left = this.startX;
+        const width = this.LANE_COUNT * this.LANE_WIDTH;
+        // Each cover is opaque at the screen edge / judge line side and ends at `edge`
+        const cover = (from, edge) => {
+            if (from === edge) return;
+            if (mode.fade) {
+                const step = (edge - from) / FADE_STEPS;
+                for (let i = 0; i < FADE_STEPS; i++) {
+                    g.beginFill(COVER_COLOR, 1 - i / FADE_STEPS);
+                    g.drawRect(left, Math.min(from + i * step, from + (i + 1) * step), width, Math.abs(step));
+                    g.endFill();
+                }
+                return;
+            }
+            g.beginFill(COVER_COLOR);
+            g.drawRect(left, Math.min(from, edge), width, Math.abs(edge - from));
+            g.endFill();
+            g.lineStyle(2, COVER_EDGE_COLOR, 0.8);
+            g.moveTo(left, edge);
+            g.lineTo(left + width, edge);
+            g.lineStyle(0);
+        };
+        if (top > 0) cover(0, top);
+        if (bottom > 0) cover(this.HIT_Y, this.HIT_Y - bottom);
+        this.greenValue = null; // Redrawn with the next frame
+    }
+
+    // SUDDEN+ / HIDDEN+: move a cover the current mode has
+    moveCover(which, change) {
+        const mode = VISIBILITY_MODES[this.visibility.mode] || VISIBILITY_MODES.off;
+        if (!(mode[which] > 0)) return;
+        const other = which === 'top' ? this.visibility.bottom : this.visibility.top;
+        const value = Math.min(MAX_COVER - (other || 0), Math.max(0, (this.visibility[which] || 0) + change));
+        this.visibility[which] = Math.round(value * 100) / 100;
+        this.drawLaneCovers();
+    }
+
+    // Green number: ms a note is visible between the covers at the scroll speed of `currentTime`.
+    // Fade covers count half their height. Kept as it was during STOPs.
+    updateGreenNumber(currentTime, scrollSpeed) {
+        if (!this.greenText) return;
+        const rate = this.scrollTiming ? this.scrollTiming.bpmAt(currentTime) / this.scrollBPM : 1;
+        if (!(rate > 0)) return;
+        const mode = VISIBILITY_MODES[this.visibility.mode] || VISIBILITY_MODES.off;
+        const { top, bottom } = this.coverHeights();
+        const visible = this.HIT_Y - (top + bottom) * (mode.fade ? 0.5 : 1);
+        const ms = Math.round(visible / (scrollSpeed * rate) * 1000);
+        if (ms === this.greenValue) return;
+        this.greenValue = ms;
+        this.greenText.text = `GREEN: ${ms}ms`;
     }
     
+    // Layout values, panel and key sprites from the skin (called by drawLayout)
+    applySkinLayout() {
+        const layout = this.skinLayout;
+        const s = layout.scale;
+
+        this.HIT_Y = this.skinY(layout.playBottom);
+        this.trackLeft = this.skinX(layout.spanLeft);
+        this.trackWidth = (layout.spanRight - layout.spanLeft) * s;
+        this.updateLaneGeometry();
+
+        const cool = layout.judgments.COOL.frames;
+        if (cool.length > 0) this.JUDGE_Y = this.skinY(cool[cool.length - 1].y);
+        const digit = layout.comboDigits.find(Boolean);
+        if (digit) {
+            const last = layout.comboFrames[layout.comboFrames.length - 1] || digit;
+            this.COMBO_Y = this.skinY(last.y);
+        }
+        this.COMBO_X = this.skinX(layout.comboX);
+
+        for (const f of layout.panel) {
+            const spr = this.createSkinSprite(f);
+            if (spr) this.panelLayer.addChild(spr);
+        }
+
+        // Key-down images and channel beams, shown while a lane is held
+        layout.lanes.forEach((l, lane) => {
+            const beam = this.createSkinSprite(l.channelActive);
+            if (beam) {
+                if (l.channelActiveAdd) beam.blendMode = PIXI.BLEND_MODES.ADD;
+                beam.visible = !!this.heldLanes[lane];
+                this.keyLayer.addChild(beam);
+            }
+            this.channelBeams[lane] = beam;
+            const key = this.createSkinSprite(l.keyDown);
+            if (key) {
+                key.visible = !!this.heldLanes[lane];
+                this.keyLayer.addChild(key);
+            }
+            this.keySprites[lane] = key;
+        });
+
+        // COMBO label
+        if (this.comboSprite && layout.comboText.length > 0) {
+            this.comboSprite.scale.set(1);
+            this.applySkinFrame(this.comboSprite, layout.comboText[layout.comboText.length - 1]);
+        }
+    }
+
     onResize() {
         const sw = window.innerWidth;
         const sh = window.innerHeight;
@@ -373,11 +914,57 @@ export class RhythmGame {
         }
     }
     
-    async start(chart, audioUrl) {
+    // resolveSample(filename) maps a #WAVxx filename to a URL (or null if missing)
+    async start(chart, audioUrl, resolveSample) {
+        await this.skinReady;
+        this.stopAudio();
+        this.chart = chart;
+        this.playerOffset = this.GLOBAL_OFFSET;
+
+        // Decode every referenced keysound up front
+        const sampleCount = await this.keysounds.load(chart.wavs, resolveSample);
+        this.keysoundMode = sampleCount > 0 && (!audioUrl || this.keysounds.coverage(chart.notes) >= KEYSOUND_MIN_NOTES);
+        if (this.keysoundMode) {
+            const missing = Object.keys(chart.wavs || {}).length - sampleCount;
+            if (missing > 0) console.warn(`${missing} keysound(s) could not be loaded`);
+        } else {
+            // Load Audio Buffer
+            try {
+                if (!audioUrl) throw new Error('没有可播放的音频文件');
+                const response = await fetch(audioUrl);
+                if (!response.ok) throw new Error(`音频文件无法读取 (HTTP ${response.status})`);
+                const arrayBuffer = await response.arrayBuffer();
+                this.audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer).catch(() => {
+                    throw new Error('音频无法解码，请检查文件格式');
+                });
+            } catch (e) {
+                console.error("Audio load failed", e);
+                alert('音频加载失败: ' + e.message);
+                return;
+            }
+        }
+        await this.play();
+    }
+
+    // Play the loaded chart again from the top, reusing the decoded audio
+    async restart() {
+        if (!this.chart) return;
+        await this.play();
+    }
+
+    // (Re)start the current chart from the top; its audio is already loaded
+    async play() {
+        const chart = this.chart;
+        this.stopAudio();
+        this.resumeRun++;
+        this.paused = false;
+        this.showCountdown(null);
+        this.app.ticker.start();
+
         // Reset
         this.notesLayer.removeChildren();
         this.effectsLayer.removeChildren();
-        this.stats = { combo: 0, score: 0, cool: 0, good: 0, bad: 0, miss: 0, maxCombo: 0, comboBonus: 0, hp: 100 };
+        this.stats = createStats();
         if (this.comboSprite) {
             this.comboSprite.visible = false;
             this.effectsLayer.addChild(this.comboSprite);
@@ -388,76 +975,65 @@ export class RhythmGame {
             this.comboDigits.removeChildren();
             this.effectsLayer.addChild(this.comboDigits);
         }
+        this.syncLongFlares([]);
+        if (this.hud) this.hud.setProgress(0);
         const failTitle = document.getElementById('fail-title');
         if (failTitle) failTitle.style.opacity = 0;
         this.updateHUD();
-        const self = this;
-        
-        // Stop previous audio if any
-        if (this.audioSource) {
-            try { this.audioSource.stop(); } catch(e) {}
-            this.audioSource = null;
-        }
-
-        // Load Audio Buffer
-        try {
-            const response = await fetch(audioUrl);
-            const arrayBuffer = await response.arrayBuffer();
-            this.audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
-        } catch (e) {
-            console.error("Audio load failed", e);
-            alert("音频加载失败，请检查文件格式");
-            return;
-        }
+        this.finished = false;
+        this.bgmCursor = 0;
+        this.replayCursor = 0;
         
         // Prepare Notes
-        // Auto-detect lane range
-        // Find used lanes
-        const usedLanes = new Set(chart.notes.map(n => n.lane));
-        
-        this.runtimeNotes = chart.notes.map(n => {
-            let lane = n.lane;
-            // Fix for 4K charts using 5th key (channel 15/Lane 4) as 4th key
-            if (lane === 4 && !usedLanes.has(3)) {
-                lane = 3;
-            }
-            // Fix for 4K charts using 6th key (channel 18/Lane 5) 
-            if (lane === 5 && !usedLanes.has(3) && !usedLanes.has(4)) {
-                lane = 3;
-            }
-            
+        // Lanes come from the parser's key layout
+        this.setLaneCount(chart.laneCount || 4, chart.keyMode || '4K');
+        
+        // Scroll positions depend on the scroll mode and are fixed for the whole song
+        this.scrollTiming = this.scrollMode !== 'time' && chart.timing ? chart.timing : null;
+        this.scrollBPM = this.scrollMode === 'o2jam' ? O2JAM_REFERENCE_BPM : (this.baseBPM || chart.initialBPM || 120);
+        this.buildGrid(chart);
+        
+        // Lane / long-note modifiers move and convert the notes before any sprite is made
+        this.modifierSeed = this.modifiers.seed ?? randomSeed();
+        const notes = applyModifiers(chart.notes, this.keyMode, this.LANE_COUNT, { ...this.modifiers, seed: this.modifierSeed }, chart.timing);
+        this.invisibleNotes = notes.filter(n => n.type === 'invisible');
+        this.runtimeNotes = notes.filter(n => n.type !== 'invisible').map(n => {
             return {
                 ...n,
-                lane: lane, // Apply remapping
+                scrollPos: this.scrollPosition(n.time),
+                scrollEnd: this.scrollPosition(n.time + (n.duration || 0)),
                 hit: false,
                 missed: false,
                 isHolding: false, // New state for LN
                 sprite: null,
                 bodySprite: null // For LN
             };
-        }).filter(n => n.lane < 4); // Ensure only 4 lanes are kept
+        });
 
         
         // Pre-create Sprites
         const fallbackTex = this.createNoteTexture();
+        const mineTex = this.runtimeNotes.some(n => n.type === 'mine') ? this.createMineTexture() : null;
         
         for (const note of this.runtimeNotes) {
+            if (note.type === 'mine') {
+                const spr = new PIXI.Sprite(mineTex);
+                spr.anchor.set(0.5, 0.5);
+                spr.width = this.LANE_WIDTH;
+                spr.scale.y = spr.scale.x;
+                spr.visible = false;
+                this.notesLayer.addChild(spr);
+                note.sprite = spr;
+                continue;
+            }
+            if (this.skinLayout && this.createSkinNoteSprites(note)) continue;
+
             let noteTex = fallbackTex;
             let bodyTex = fallbackTex;
             if (this.assetsLoaded) {
-                if (note.lane === 0) {
-                    noteTex = this.textures.noteB;
-                    bodyTex = this.textures.ln2;
-                } else if (note.lane === 1) {
-                    noteTex = this.textures.noteB; // swapped with lane 3
-                    bodyTex = this.textures.ln2;
-                } else if (note.lane === 2) {
-                    noteTex = this.textures.noteA; // paired with lane 4 after swap
-                    bodyTex = this.textures.ln1;
-                } else if (note.lane === 3) {
-                    noteTex = this.textures.noteA; // swapped from noteB
-                    bodyTex = this.textures.ln1;
-                }
+                const tex = this.laneTextures(note.lane);
+                noteTex = tex.note;
+                bodyTex = tex.body;
             }
             
             if (note.type === 'tap') {
@@ -498,63 +1074,350 @@ export class RhythmGame {
             }
         }
         
+        if (this.keysoundMode) {
+            // The song is over once the last note and the last BGM sample have finished.
+            let end = 0;
+            for (const n of notes) end = Math.max(end, n.time + (n.duration || 0));
+            for (const ev of chart.bgmEvents || []) end = Math.max(end, ev.time + this.keysounds.duration(ev.id) - (ev.offset || 0));
+            this.songEndTime = end;
+        } else {
+            // Check for BGM Delay (BMS channel 01)
+            // If the BGM is defined to start later (e.g. at measure 0.625), we delay the audio playback
+            this.bgmDelay = 0;
+            if (chart.bgmEvents && chart.bgmEvents.length > 0) {
+                this.bgmDelay = chart.bgmEvents[0].time;
+
+                // Warning for multi-BGM or STOPs
+                if (chart.bgmEvents.length > 1) {
+                    console.warn("Warning: Chart contains multiple BGM events. Only the first one is supported in Single-Audio mode.");
+                }
+                if (chart.stops && chart.stops.length > 0) {
+                    console.warn("Warning: Chart contains STOP events. Sync may drift if audio is continuous.");
+                }
+            }
+            this.songEndTime = this.bgmDelay + this.audioBuffer.duration; // For the progress bar
+        }
+        
         // Start Audio using AudioContext
         if (this.audioContext.state === 'suspended') {
             await this.audioContext.resume();
         }
+        const practice = this.practice;
+        this.playbackRate = practice ? Math.min(MAX_PLAYBACK_RATE, Math.max(MIN_PLAYBACK_RATE, practice.rate || 1)) : 1;
+        if (this.replay) this.GLOBAL_OFFSET = this.replay.settings.offset ?? this.playerOffset;
+        this.startRecording();
+        this.updateOffsetDisplay();
+        this.seek(practice ? practice.start ?? practice.loopA ?? 0 : 0);
         
-        this.audioSource = this.audioContext.createBufferSource();
-        this.audioSource.buffer = this.audioBuffer;
-        this.audioSource.connect(this.audioContext.destination);
-        this.audioSource.onended = () => {
-            const r = { 
-                cool: this.stats.cool || 0, 
-                good: this.stats.good || 0, 
-                bad: this.stats.bad || 0, 
-                miss: this.stats.miss || 0, 
-                maxCombo: this.stats.maxCombo || 0 
-            };
-            this.lastResults = r;
-            // Show results instead of exiting immediately
-            if (window.showGameResults) {
-                window.showGameResults(r);
-            } else {
-                // Fallback
-                const btnExit = document.getElementById('btn-exit');
-                if (btnExit) btnExit.click();
-            }
-        };
-        
-        // Schedule start
+        this.isPlaying = true;
+        this.app.ticker.remove(this.update, this); // Remove existing if any
+        this.app.ticker.add(this.update, this);
+    }
+    
+    // (Re)start the audio at chart time `from`: earlier notes are skipped, later ones are live again
+    seek(from) {
+        this.stopAudio();
+        this.resetNotes(from);
+        this.startAudio(from);
+    }
+
+    // Play the audio from chart time `from` at the current playback rate
+    startAudio(from) {
+        const rate = this.playbackRate;
         // Use a small delay to ensure smooth start
         const scheduleTime = this.audioContext.currentTime + 0.1;
-        this.audioStartTime = scheduleTime;
-        
-        // Check for BGM Delay (BMS channel 01)
-        // If the BGM is defined to start later (e.g. at measure 0.625), we delay the audio playback
-        // The game timer (visuals) starts at scheduleTime (Time=0)
-        // The audio starts at scheduleTime + bgmDelay
-        let bgmDelay = 0;
-        if (chart.bgmEvents && chart.bgmEvents.length > 0) {
-            bgmDelay = chart.bgmEvents[0].time;
-            console.log(`BGM Delayed start by ${bgmDelay.toFixed(3)}s`);
-            
-            // Warning for multi-BGM or STOPs
-            if (chart.bgmEvents.length > 1) {
-                console.warn("Warning: Chart contains multiple BGM events. Only the first one is supported in Single-Audio mode.");
-            }
-            if (chart.stops && chart.stops.length > 0) {
-                console.warn("Warning: Chart contains STOP events. Sync may drift if audio is continuous.");
+        this.audioStartTime = scheduleTime - from / rate;
+        this.startFrom = from;
+        
+        if (this.keysoundMode) {
+            // Channel-01 samples are queued from update() as they enter the lookahead window
+            this.bgmCursor = 0;
+            this.scheduleBGM();
+        } else {
+            this.audioSource = this.audioContext.createBufferSource();
+            this.audioSource.buffer = this.audioBuffer;
+            this.audioSource.playbackRate.value = rate;
+            this.audioSource.connect(this.audioContext.destination);
+            this.audioSource.onended = () => this.finish();
+            // The game timer (visuals) reaches chart time 0 at audioStartTime; the audio starts at bgmDelay
+            if (from < this.bgmDelay) this.audioSource.start(this.audioStartTime + this.bgmDelay / rate);
+            else this.audioSource.start(scheduleTime, from - this.bgmDelay);
+        }
+    }
+
+    // Notes before `from` count as done (hidden, never judged); the rest get their judgment state cleared
+    resetNotes(from) {
+        for (const note of this.runtimeNotes) {
+            note.hit = note.time < from;
+            note.missed = false;
+            note.isHolding = false;
+            note.broken = false;
+            note.passed = false;
+            note.nextTick = undefined;
+            this.dimBrokenNote(note, false);
+            if (note.hit) this.hideNote(note);
+        }
+        this.syncLongFlares([]);
+    }
+
+    // Record the inputs of this run, unless it is autoplay, practice or a replay being played back
+    startRecording() {
+        this.recording = this.autoDemo || this.practice || this.replay ? null : [];
+        this.recordedSettings = {
+            speed: this.speedMultiplier,
+            scrollMode: this.scrollMode,
+            baseBPM: this.baseBPM,
+            lnRule: this.lnRule,
+            judge: { ...this.judge },
+            offset: this.GLOBAL_OFFSET,
+            modifiers: { ...this.modifiers, seed: this.modifierSeed }
+        };
+    }
+
+    // Keep the recorded run as lastReplay; recording stops here
+    saveReplay(result) {
+        if (!this.recording) return;
+        this.lastReplay = createReplay(this.chart, this.recordedSettings, this.recording, result);
+        this.recording = null;
+    }
+
+    // Replay only: jump to chart time `to` (on the chart clock, like the inputs). Judging starts over from
+    // the top and the inputs up to `to` are run through without sounds or effects.
+    seekReplay(to) {
+        if (!this.replay || this.paused || this.finished) return;
+        this.GLOBAL_OFFSET = this.replay.settings.offset ?? this.playerOffset; // Offset changes are fed again
+        to = Math.max(this.GLOBAL_OFFSET, Math.min(to, this.songEndTime + this.GLOBAL_OFFSET));
+        this.stopAudio();
+        this.resetNotes(-Infinity);
+        this.stats = createStats();
+        this.heldLanes.fill(false);
+        this.replayCursor = 0;
+        this.fastForward = true;
+        this.feedReplay(to);
+        if (this.isPlaying) this.advance(to);
+        this.fastForward = false;
+        if (!this.isPlaying) return; // Failed on the way
+        this.heldLanes.forEach((held, lane) => this.setLanePressed(lane, held));
+        this.updateHUD();
+        this.startAudio(to - this.GLOBAL_OFFSET);
+    }
+
+    // Replay only: change the playback rate from the current position
+    setReplayRate(rate) {
+        if (!this.replay || this.paused || this.finished) return;
+        const at = this.chartTime() - this.GLOBAL_OFFSET;
+        this.playbackRate = Math.min(MAX_PLAYBACK_RATE, Math.max(MIN_PLAYBACK_RATE, rate));
+        this.stopAudio();
+        this.startAudio(at);
+        this.updateOffsetDisplay();
+    }
+
+    // Play back the replay's inputs up to chart time `until`
+    feedReplay(until) {
+        const inputs = this.replay.inputs;
+        while (this.isPlaying && this.replayCursor < inputs.length && inputs[this.replayCursor][0] <= until) {
+            const [time, lane, pressed, judged] = inputs[this.replayCursor++];
+            if (lane === OFFSET_CHANGE) {
+                this.GLOBAL_OFFSET = pressed; // The new offset, in seconds
+                if (!this.fastForward) this.updateOffsetDisplay();
+            } else if (judged) {
+                this.laneInput(lane, !!pressed, time);
+            } else {
+                this.heldLanes[lane] = !!pressed;
+                this.setLanePressed(lane, !!pressed);
             }
         }
-        
-        this.audioSource.start(scheduleTime + bgmDelay);
-        
-        this.isPlaying = true;
-        this.app.ticker.remove(this.update, this); // Remove existing if any
-        this.app.ticker.add(this.update, this);
     }
     
+    // Scroll position for a chart time: seconds in 'time' mode, otherwise beats as seconds at scrollBPM
+    scrollPosition(time) {
+        if (!this.scrollTiming) return time;
+        return this.scrollTiming.beatAt(time) * 60 / this.scrollBPM;
+    }
+
+    // Measure lines and BPM-change labels for a chart, stored as scroll positions
+    buildGrid(chart) {
+        this.gridLayer.removeChildren().forEach(c => c.destroy());
+        this.gridGraphics = new PIXI.Graphics();
+        this.gridLayer.addChild(this.gridGraphics);
+        this.barLines = (chart.barLines || []).map(b => this.scrollPosition(b.time));
+        this.bpmMarkers = (chart.bpms || []).slice(1).map(b => {
+            const label = new PIXI.Text(String(Math.round(b.bpm * 100) / 100), {
+                fontFamily: 'Arial', fontSize: 20, fontWeight: 'bold',
+                fill: BPM_MARKER_COLOR, stroke: 0x000000, strokeThickness: 3
+            });
+            label.anchor.set(0, 1);
+            label.visible = false;
+            this.gridLayer.addChild(label);
+            return { pos: this.scrollPosition(b.time), label };
+        });
+    }
+
+    drawGrid(pos, scrollSpeed) {
+        const g = this.gridGraphics;
+        if (!g) return;
+        g.clear();
+        const left = this.startX;
+        const right = this.startX + this.LANE_COUNT * this.LANE_WIDTH;
+        const yOf = (p) => this.HIT_Y - (p - pos) * scrollSpeed;
+        
+        g.lineStyle(2, BAR_LINE_COLOR, 0.35);
+        for (const p of this.barLines) {
+            const y = yOf(p);
+            if (y > this.HIT_Y) continue;
+            if (y < 0) break; // Sorted: the rest are above the screen
+            g.moveTo(left, y);
+            g.lineTo(right, y);
+        }
+        g.lineStyle(2, BPM_MARKER_COLOR, 0.8);
+        for (const m of this.bpmMarkers) {
+            const y = yOf(m.pos);
+            m.label.visible = y <= this.HIT_Y && y >= 0;
+            if (!m.label.visible) continue;
+            g.moveTo(left, y);
+            g.lineTo(right, y);
+            m.label.position.set(right + 6, y);
+        }
+    }
+
+    // Freeze the song: the audio clock is suspended and the ticker stopped; notes and stats are kept.
+    // Pausing again during the resume countdown cancels it.
+    async pause() {
+        if (this.paused) {
+            this.resumeRun++;
+            this.showCountdown(null);
+            return true;
+        }
+        if (!this.isPlaying || this.finished) return false;
+        this.paused = true;
+        this.resumeRun++;
+        this.pausedHolds = new Set(this.runtimeNotes.filter(n => n.isHolding && !n.hit).map(n => n.lane));
+        this.app.ticker.stop();
+        await this.audioContext.suspend();
+        this.pausedAt = this.audioContext.currentTime - this.audioStartTime;
+        return true;
+    }
+
+    // Continue after a countdown; false if it was cancelled by restart() or stop()
+    async resume() {
+        if (!this.paused) return false;
+        const run = ++this.resumeRun;
+        for (let n = RESUME_COUNTDOWN; n > 0; n--) {
+            this.showCountdown(n);
+            await new Promise(resolve => setTimeout(resolve, 1000));
+            if (run !== this.resumeRun) return false;
+        }
+        this.showCountdown(null);
+        await this.audioContext.resume();
+        if (run !== this.resumeRun) return false;
+        // The chart continues exactly where pause() stopped it
+        this.audioStartTime = this.audioContext.currentTime - this.pausedAt;
+        this.paused = false;
+        this.app.ticker.start();
+        // Long notes whose key was let go during the pause are released now (a replay has these releases)
+        this.heldLanes.forEach((held, lane) => {
+            if (!held && !this.replay && this.pausedHolds.has(lane)) this.laneInput(lane, false, this.chartTime());
+            else this.setLanePressed(lane, held);
+        });
+        this.pausedHolds.clear();
+        return true;
+    }
+
+    showCountdown(n) {
+        if (!el.countdown) return;
+        el.countdown.textContent = n === null ? '' : String(n);
+        el.countdown.classList.toggle('show', n !== null);
+    }
+
+    // Current position on the chart clock in seconds, including the player's offset
+    chartTime() {
+        return (this.audioContext.currentTime - this.audioStartTime) * this.playbackRate + this.GLOBAL_OFFSET;
+    }
+
+    // Queue channel-01 samples that fall inside the lookahead window
+    scheduleBGM() {
+        const events = this.chart.bgmEvents || [];
+        const rate = this.playbackRate;
+        const horizon = (this.audioContext.currentTime - this.audioStartTime + BGM_LOOKAHEAD) * rate;
+        while (this.bgmCursor < events.length && events[this.bgmCursor].time <= horizon) {
+            const ev = events[this.bgmCursor++];
+            // Samples that began before the start point (practice) join part-way through, if still sounding
+            const late = Math.max(0, this.startFrom - ev.time);
+            if (late > 0 && late >= this.keysounds.duration(ev.id) - (ev.offset || 0)) continue;
+            this.keysounds.play(ev.id, this.audioStartTime + (ev.time + late) / rate, (ev.offset || 0) + late, rate);
+        }
+    }
+
+    playNoteSound(note) {
+        if (this.fastForward) return;
+        // bmson notes may continue their sample from part-way through (sampleOffset)
+        if (this.keysoundMode && note.sampleId) this.keysounds.play(note.sampleId, 0, note.sampleOffset || 0, this.playbackRate);
+    }
+
+    // Song over: publish the results once
+    finish() {
+        if (this.finished) return;
+        this.finished = true;
+        const r = this.results();
+        this.saveReplay(r);
+        // A replay must reproduce the recorded result; differences are shown with the results
+        if (this.replay && this.replay.result) r.replayDifferences = resultDifferences(this.replay.result, r);
+        this.lastResults = r;
+        // Show results instead of exiting immediately
+        if (window.showGameResults) {
+            window.showGameResults(r);
+        } else {
+            // Fallback
+            const btnExit = document.getElementById('btn-exit');
+            if (btnExit) btnExit.click();
+        }
+    }
+
+    // Results of the run so far
+    results() {
+        const sc = computeScore(this.stats);
+        return { 
+            cool: this.stats.cool || 0, 
+            good: this.stats.good || 0, 
+            bad: this.stats.bad || 0, 
+            miss: this.stats.miss || 0, 
+            maxCombo: this.stats.maxCombo || 0,
+            maxJam: this.stats.maxJam || 0,
+            ticks: this.stats.ticks || 0,
+            score: this.stats.score || 0,
+            accuracy: sc.accuracy,
+            exScore: sc.exScore,
+            grade: sc.grade,
+            practice: !!this.practice, // Practice runs are not normal results
+            replay: !!this.replay
+        };
+    }
+
+    // Note sprites from the skin's Note / LongNote parts (Part0 head, Part1 body, Part2 tail).
+    // Returns false if the skin images are missing so the built-in textures are used instead.
+    createSkinNoteSprites(note) {
+        const l = this.skinLayout.lanes[note.lane];
+        const frames = note.type === 'ln' ? [l.lnHead, l.lnTail, l.lnBody] : [l.note];
+        const sprites = frames.map(f => this.createSkinSprite(f));
+        if (sprites.some(spr => !spr)) {
+            sprites.forEach(spr => spr && spr.destroy());
+            return false;
+        }
+        for (const spr of sprites) {
+            spr.anchor.x = 0.5; // Positioned by lane centre
+            spr.visible = false;
+            this.notesLayer.addChild(spr);
+        }
+        note.sprite = sprites[0];
+        if (note.type === 'ln') {
+            note.tailSprite = sprites[1];
+            note.bodySprite = sprites[2];
+            note.bodySprite.anchor.y = 0; // Stretched from the tail down to the head
+            this.notesLayer.setChildIndex(note.bodySprite, 0);
+        }
+        return true;
+    }
+
     createNoteTexture() {
         const gr = new PIXI.Graphics();
         gr.beginFill(0xffffff);
@@ -563,6 +1426,15 @@ export class RhythmGame {
         gr.endFill();
         return this.app.renderer.generateTexture(gr);
     }
+
+    createMineTexture() {
+        const gr = new PIXI.Graphics();
+        gr.beginFill(MINE_COLOR, 0.85);
+        gr.lineStyle(2, 0xffffff);
+        gr.drawRoundedRect(0, 0, 100, 20, 10);
+        gr.endFill();
+        return this.app.renderer.generateTexture(gr);
+    }
     
     update(delta) {
         if (!this.isPlaying) return;
@@ -573,53 +1445,40 @@ export class RhythmGame {
         // currentSongTime = (AudioContext.currentTime - start_timestamp) * 1000 + global_offset
         // My code uses seconds, so remove *1000, but logic is same.
         
-        const now = this.audioContext.currentTime;
-        const currentTime = now - this.audioStartTime + this.GLOBAL_OFFSET;
+        const currentTime = this.chartTime();
+        
+        // A-B loop
+        const loop = this.practice;
+        if (loop && Number.isFinite(loop.loopA) && loop.loopB > loop.loopA && currentTime >= loop.loopB) {
+            this.seek(loop.loopA);
+            return;
+        }
+        
+        if (this.keysoundMode) {
+            this.scheduleBGM();
+            if (currentTime > this.songEndTime + 1.0) this.finish();
+        }
+        if (this.hud && this.songEndTime > 0) this.hud.setProgress(currentTime / this.songEndTime);
+        
+        if (this.replay) this.feedReplay(currentTime);
+        if (this.isPlaying) this.advance(currentTime);
+        if (!this.isPlaying) return; // Failed
         
         const scrollSpeed = this.height * 0.8 * this.speedMultiplier;
+        const pos = this.scrollPosition(currentTime);
+        this.drawGrid(pos, scrollSpeed);
+        this.updateGreenNumber(currentTime, scrollSpeed);
+        const holdingLanes = [];
         
         for (const note of this.runtimeNotes) {
-            if (this.autoDemo && !note.hit && !note.missed) {
-                if (note.type === 'ln') {
-                    if (!note.isHolding && currentTime >= note.time) {
-                        note.isHolding = true;
-                        note.hitTime = currentTime;
-                        this.triggerHit('COOL', note.lane);
-                    }
-                } else if (note.type === 'tap') {
-                    if (Math.abs(note.time - currentTime) <= 0.03) {
-                        note.hit = true;
-                        this.triggerHit('COOL', note.lane);
-                        if (note.sprite) note.sprite.visible = false;
-                        continue;
-                    }
-                }
-            }
             // Special handling for Holding LNs:
             // If note.isHolding is true, the head should stick to the hit line, and the body should shrink
             if (note.type === 'ln' && note.isHolding && !note.hit && !note.missed) {
-                // LN is being held
-                // Head stays at HIT_Y
-                // Tail moves down
-                
-                // Check if duration has passed (tail reached HIT_Y)
-                const endTime = note.time + note.duration;
-                if (currentTime >= endTime) {
-                    // Auto-hit tail if held until end (lenient)
-                    note.hit = true;
-                    note.isHolding = false;
-                    this.triggerHit('COOL', note.lane); // Tail judgment
-                    
-                    if (note.sprite) note.sprite.visible = false;
-                    if (note.bodySprite) note.bodySprite.visible = false;
-                    if (note.tailSprite) note.tailSprite.visible = false;
-                    continue;
-                }
-                
+                holdingLanes[note.lane] = true;
+
                 // Render Holding State
-                const x = this.startX + (this.laneColumn[note.lane] ?? note.lane) * this.LANE_WIDTH + this.LANE_WIDTH / 2;
-                const tailTimeDiff = (note.time + note.duration) - currentTime;
-                const tailY = this.HIT_Y - (tailTimeDiff * scrollSpeed);
+                const x = this.laneX(note.lane);
+                const tailY = this.HIT_Y - (Math.max(0, note.scrollEnd - pos) * scrollSpeed);
                 
                 // Head fixed at Hit Line
                 if (note.sprite) {
@@ -643,29 +1502,14 @@ export class RhythmGame {
             }
 
             if (note.hit) {
-                if (note.sprite) note.sprite.visible = false;
-                if (note.bodySprite) note.bodySprite.visible = false;
-                if (note.tailSprite) note.tailSprite.visible = false;
+                this.hideNote(note);
                 continue;
             }
             
-            // Apply Offset for Sync (now handled by GLOBAL_OFFSET mostly, but can add per-note offset if needed)
-            // note.time is in seconds
-            const timeDiff = note.time - currentTime;
-            
-            // Check Miss
-            if (timeDiff < -0.15 && !note.hit && !note.missed) { // 150ms late
-                // For LN, if we missed the head, we missed the whole thing
-                if (note.type === 'tap' || (note.type === 'ln' && !note.isHolding)) {
-                     this.triggerMiss(note);
-                     // Do not continue, let it fall
-                }
-            }
-            
             // Render
-            // Y = HitY - (TimeDiff * Speed)
-            const y = this.HIT_Y - (timeDiff * scrollSpeed);
-            const x = this.startX + (this.laneColumn[note.lane] ?? note.lane) * this.LANE_WIDTH + this.LANE_WIDTH / 2;
+            // Y = HitY - (scroll distance * Speed); the distance is plain time in the 'time' scroll mode
+            const y = this.HIT_Y - ((note.scrollPos - pos) * scrollSpeed);
+            const x = this.laneX(note.lane);
             
             // Visual effect for missed notes
             if (note.missed) {
@@ -673,11 +1517,12 @@ export class RhythmGame {
                 if (note.bodySprite) note.bodySprite.alpha = 0.5;
                 if (note.tailSprite) note.tailSprite.alpha = 0.5;
             }
+            if (note.broken) this.dimBrokenNote(note, true);
             
             // Calculate top edge for off-screen check
             let topY = y;
             if (note.type === 'ln') {
-                topY = this.HIT_Y - ((timeDiff + note.duration) * scrollSpeed);
+                topY = this.HIT_Y - ((note.scrollEnd - pos) * scrollSpeed);
             }
 
             if (topY > this.height + 100) {
@@ -688,11 +1533,11 @@ export class RhythmGame {
                  if (note.sprite) note.sprite.visible = false;
             } else {
                 // Show
-                if (note.type === 'tap') {
+                if (note.type === 'tap' || note.type === 'mine') {
                     note.sprite.position.set(x, y);
                     note.sprite.visible = true;
                 } else if (note.type === 'ln') {
-                    const tailY = this.HIT_Y - ((timeDiff + note.duration) * scrollSpeed);
+                    const tailY = this.HIT_Y - ((note.scrollEnd - pos) * scrollSpeed);
                     
                     note.sprite.position.set(x, y); 
                     note.sprite.visible = true;
@@ -709,92 +1554,314 @@ export class RhythmGame {
                 }
             }
         }
+
+        this.syncLongFlares(holdingLanes);
+    }
+
+    // Judging driven by the clock alone: landmines, autoplay, held long notes and misses.
+    // Everything due by currentTime is settled in time order, and advance() also runs up to the time
+    // of every input before it is judged, so results don't depend on the frame timing and a replay
+    // is judged exactly like the run it was recorded from.
+    advance(currentTime) {
+        if (this.autoDemo) this.autoPlay(currentTime);
+        const due = []; // { note, event, index }
+        this.runtimeNotes.forEach((note, index) => {
+            if (note.time > currentTime) return; // Nothing of a note happens before its time
+            const event = this.noteEvent(note);
+            if (event && this.eventDue(note, event, currentTime)) due.push({ note, event, index });
+        });
+        while (due.length > 0 && this.isPlaying) {
+            let first = 0;
+            for (let i = 1; i < due.length; i++) {
+                const a = due[i], b = due[first];
+                if (a.event.time < b.event.time || (a.event.time === b.event.time && a.index < b.index)) first = i;
+            }
+            const { note, event, index } = due.splice(first, 1)[0];
+            this.runNoteEvent(note, event);
+            const next = this.noteEvent(note);
+            if (next && this.eventDue(note, next, currentTime)) due.push({ note, event: next, index });
+        }
+    }
+
+    // Autoplay: heads are hit as they reach the line (tails are finished by advance())
+    autoPlay(currentTime) {
+        for (const note of this.runtimeNotes) {
+            if (note.hit || note.missed) continue;
+            if (note.type === 'ln') {
+                if (!note.isHolding && !note.broken && currentTime >= note.time) {
+                    this.beginHold(note, currentTime);
+                    this.playNoteSound(note);
+                    this.triggerHit('COOL', note.lane);
+                }
+            } else if (note.type === 'tap') {
+                if (Math.abs(note.time - currentTime) <= 0.03) {
+                    note.hit = true;
+                    this.playNoteSound(note);
+                    this.triggerHit('COOL', note.lane);
+                    if (note.sprite) note.sprite.visible = false;
+                }
+            }
+        }
+    }
+
+    // The next thing the clock does to a note, as { time, type }, or null:
+    //   mine      the landmine reaches the line
+    //   disarm    the landmine leaves the BAD window after the line (presses no longer set it off)
+    //   tick      a combo tick of a held long note
+    //   tail      a held long note reaches its tail (auto-finished tails)
+    //   overheld  a held long note is held too long past its tail
+    //   broken    the tail of a broken long note passes (it can no longer be re-grabbed)
+    //   miss      an untouched note passes the miss cutoff
+    noteEvent(note) {
+        if (note.hit) return null;
+        if (note.type === 'mine') {
+            return note.passed ? { time: note.time + this.judge.bad / 1000, type: 'disarm' } : { time: note.time, type: 'mine' };
+        }
+        const endTime = note.time + note.duration;
+        if (note.isHolding) {
+            if (note.missed) return null;
+            const rule = this.currentLNRule();
+            if (rule.tick > 0 && note.nextTick !== undefined && note.nextTick < endTime) return { time: note.nextTick, type: 'tick' };
+            if (this.autoDemo || rule.tail === 'auto') return { time: endTime, type: 'tail' };
+            return { time: endTime + (this.judge.bad + this.judge.lnTolerance) / 1000, type: 'overheld' };
+        }
+        if (note.broken) return note.missed ? null : { time: endTime, type: 'broken' };
+        if (note.missed) return null;
+        return { time: note.time + this.judge.miss / 1000, type: 'miss' };
+    }
+
+    eventDue(note, event, currentTime) {
+        switch (event.type) {
+            case 'overheld': return (currentTime - (note.time + note.duration)) * 1000 > this.judge.bad + this.judge.lnTolerance;
+            case 'broken': return currentTime > event.time;
+            case 'miss': return (note.time - currentTime) * 1000 < -this.judge.miss; // Past the miss cutoff
+            default: return currentTime >= event.time;
+        }
+    }
+
+    runNoteEvent(note, event) {
+        switch (event.type) {
+            case 'mine':
+                // A landmine explodes if its lane is held down as it reaches the line
+                note.passed = true;
+                if (this.heldLanes[note.lane] && !this.autoDemo) this.triggerMine(note);
+                break;
+            case 'disarm':
+                note.hit = true;
+                break;
+            case 'tick':
+                this.holdTick(note);
+                break;
+            case 'tail':
+                this.finishHold(note, 'COOL');
+                break;
+            case 'overheld':
+                note.isHolding = false;
+                this.triggerMiss(note);
+                this.hideNote(note);
+                break;
+            case 'broken':
+                note.missed = true;
+                break;
+            case 'miss':
+                // For LN, if we missed the head, we missed the whole thing
+                this.triggerMiss(note);
+                break;
+        }
     }
     
     onKeyDown(e) {
         if (!this.isPlaying) return;
         
+        // Replay: the arrow keys seek and change the playback rate
+        if (this.replay && e.code.startsWith('Arrow')) {
+            e.preventDefault();
+            if (e.code === 'ArrowLeft') this.seekReplay(this.chartTime() - REPLAY_SEEK_STEP);
+            else if (e.code === 'ArrowRight') this.seekReplay(this.chartTime() + REPLAY_SEEK_STEP);
+            else if (e.code === 'ArrowUp') this.setReplayRate(this.playbackRate + REPLAY_RATE_STEP);
+            else if (e.code === 'ArrowDown') this.setReplayRate(this.playbackRate - REPLAY_RATE_STEP);
+            return;
+        }
+        
         // Offset Adjustment
         if (e.code === 'ArrowRight') {
-            this.GLOBAL_OFFSET += 0.01; // +10ms
-            this.updateOffsetDisplay();
+            this.changeOffset(0.01); // +10ms
             return;
         }
         if (e.code === 'ArrowLeft') {
-            this.GLOBAL_OFFSET -= 0.01; // -10ms
-            this.updateOffsetDisplay();
+            this.changeOffset(-0.01); // -10ms
             return;
         }
         
 
+        if (this.keys[e.code] === undefined && COVER_KEYS[e.code]) {
+            this.moveCover(...COVER_KEYS[e.code]);
+            return;
+        }
         if (this.keys[e.code] === undefined) return;
+        e.preventDefault(); // Space / Shift lanes must not scroll or press focused buttons
+        if (this.replay) return; // The lanes are played by the replay
         
         const lane = this.keys[e.code];
-        this.heldLanes[lane] = true;
-        
-        // Show Key Sprite (Removed)
-        /*
-        if (this.keySprites && this.keySprites[lane]) {
-            this.keySprites[lane].visible = true;
+        if (this.paused) {
+            // Only remembered, e.g. to hold a long note through the countdown
+            this.holdInput(lane, true);
+            return;
         }
-        */
-        
-        this.checkHit(lane);
+        this.laneInput(lane, true, this.chartTime());
     }
     
     onKeyUp(e) {
-        if (this.keys[e.code] === undefined) return;
+        if (this.keys[e.code] === undefined || this.replay) return;
         const lane = this.keys[e.code];
-        this.heldLanes[lane] = false;
-        
-        // Hide Key Sprite (Removed)
-        /*
-        if (this.keySprites && this.keySprites[lane]) {
-            this.keySprites[lane].visible = false;
+        if (this.paused) this.holdInput(lane, false); // Judged when the song resumes
+        else this.laneInput(lane, false, this.chartTime());
+    }
+
+    // A lane pressed or let go at chart time `time`, from the keyboard or a replay.
+    // The clock-driven judging is brought up to `time` first (see advance()).
+    laneInput(lane, pressed, time) {
+        if (this.isPlaying) this.advance(time);
+        this.heldLanes[lane] = pressed;
+        // Show skin key-down image and channel beam
+        this.setLanePressed(lane, pressed);
+        if (!this.isPlaying) return;
+        if (this.recording) this.recording.push([time, lane, pressed ? 1 : 0, 1]);
+        if (pressed) this.checkHit(lane, time);
+        else this.checkLNRelease(lane, time); // Handle LN Release
+    }
+
+    // The offset moves the chart clock, so a recorded run keeps each change to replay it at the same point
+    changeOffset(change) {
+        const time = this.chartTime();
+        this.GLOBAL_OFFSET += change;
+        if (this.recording) this.recording.push([time, OFFSET_CHANGE, this.GLOBAL_OFFSET, 0]);
+        this.updateOffsetDisplay();
+    }
+
+    // Key change while paused: only which lanes are held changes
+    holdInput(lane, pressed) {
+        this.heldLanes[lane] = pressed;
+        if (this.recording) this.recording.push([this.chartTime(), lane, pressed ? 1 : 0, 0]);
+    }
+
+    // Looping FlareLong animation over lanes where a long note is being held (skin only)
+    syncLongFlares(holdingLanes) {
+        this.longFlares = this.longFlares || [];
+        const count = Math.max(this.longFlares.length, holdingLanes.length);
+        for (let lane = 0; lane < count; lane++) {
+            const active = this.longFlares[lane];
+            if (holdingLanes[lane] && !active) {
+                const anim = this.skinLayout && this.skinLayout.lanes[lane] ? this.skinLayout.lanes[lane].longFlare : null;
+                if (!anim || anim.frames.length === 0) continue;
+                const spr = new PIXI.Sprite();
+                if (anim.additive) spr.blendMode = PIXI.BLEND_MODES.ADD;
+                this.effectsLayer.addChild(spr);
+                this.longFlares[lane] = { spr, step: this.playSkinFrames(spr, anim.frames, anim.fps, true) };
+            } else if (!holdingLanes[lane] && active) {
+                this.app.ticker.remove(active.step);
+                active.spr.destroy();
+                this.longFlares[lane] = null;
+            }
         }
-        */
-        
-        // Handle LN Release
-        this.checkLNRelease(lane);
     }
 
-    checkLNRelease(lane) {
+    setLanePressed(lane, pressed) {
+        if (this.keySprites && this.keySprites[lane]) this.keySprites[lane].visible = pressed;
+        if (this.channelBeams && this.channelBeams[lane]) this.channelBeams[lane].visible = pressed;
+    }
+
+    // A lane let go at chart time currentTime
+    checkLNRelease(lane, currentTime) {
         // Find any active LN in this lane that is currently being held
-        const now = this.audioContext.currentTime;
-        const currentTime = now - this.audioStartTime + this.GLOBAL_OFFSET;
 
         const holdingNote = this.runtimeNotes.find(n => n.lane === lane && n.type === 'ln' && n.isHolding && !n.hit && !n.missed);
+        if (!holdingNote) return;
 
-        if (holdingNote) {
-            // Check if released too early
-            const endTime = holdingNote.time + holdingNote.duration;
-            const diff = currentTime - endTime; // If negative, released early. If positive, released late.
-            
-            // If released very early (e.g. more than 0.2s before end), it's a miss or break
-            // If released within window of end, it's a completion
-            
-            if (diff < -0.2) {
-                // Released too early -> Miss tail
-                holdingNote.missed = true;
-                holdingNote.isHolding = false;
-                this.triggerMiss(holdingNote);
+        // The release is judged against the tail with the same windows as a press
+        const endTime = holdingNote.time + holdingNote.duration;
+        const m = (currentTime - endTime) * 1000; // + late, - early
+        const judge = judgeTiming(this.judge, m, this.judge.lnTolerance);
+        if (judge) {
+            this.finishHold(holdingNote, judge);
+        } else if (m > 0) {
+            // Released after the late window (update() normally settles this first)
+            if (this.currentLNRule().tail === 'auto') {
+                this.finishHold(holdingNote, 'COOL');
             } else {
-                // Released near end -> Success
-                // Even if released slightly early or late, we count it as HIT if within reasonable window
-                // Standard BMS LN usually requires holding UNTIL end.
-                // O2Jam LNs are usually lenient.
-                // Let's treat release as "Final Hit"
-                
-                holdingNote.hit = true; // Fully hit
                 holdingNote.isHolding = false;
-                // Maybe add another combo/score for tail?
-                // For now, just ensure it disappears properly
+                this.triggerMiss(holdingNote);
+                this.hideNote(holdingNote);
             }
+        } else {
+            this.breakHold(holdingNote);
         }
     }
+
+    currentLNRule() {
+        return LN_RULES[this.lnRule] || LN_RULES.o2jam;
+    }
+
+    // Head hit (or re-grab): start holding and schedule the next tick
+    beginHold(note, currentTime) {
+        note.isHolding = true;
+        note.hitTime = currentTime; // Record when we started holding
+        const tick = this.currentLNRule().tick;
+        if (tick > 0) note.nextTick = note.time + Math.max(1, Math.ceil((currentTime - note.time) / tick)) * tick;
+    }
+
+    // Combo tick of a held long note; the next one is due a tick later
+    holdTick(note) {
+        note.nextTick += this.currentLNRule().tick;
+        this.stats.combo++;
+        this.stats.ticks++;
+        if (this.stats.combo > this.stats.maxCombo) this.stats.maxCombo = this.stats.combo;
+        if (this.fastForward) return;
+        this.updateHUD();
+        this.bounceCombo();
+    }
+
+    // Tail judgment: the whole long note is done
+    finishHold(note, judge) {
+        note.hit = true;
+        note.isHolding = false;
+        this.triggerHit(judge, note.lane);
+        this.hideNote(note);
+    }
+
+    // Released before the tail window: MISS, and the body stays on screen dimmed.
+    // With regrab the note stays live so pressing inside the body resumes the hold.
+    breakHold(note) {
+        note.isHolding = false;
+        note.broken = true;
+        this.triggerMiss(note);
+        if (this.currentLNRule().regrab) note.missed = false;
+        this.dimBrokenNote(note, true);
+    }
+
+    regrabHold(note, currentTime) {
+        note.broken = false;
+        this.dimBrokenNote(note, false);
+        this.beginHold(note, currentTime);
+    }
+
+    dimBrokenNote(note, dimmed) {
+        const alpha = dimmed ? BROKEN_LN_ALPHA : 1;
+        if (note.bodySprite) note.bodySprite.alpha = alpha;
+        if (note.tailSprite) note.tailSprite.alpha = alpha;
+        if (note.sprite) note.sprite.alpha = alpha;
+    }
+
+    hideNote(note) {
+        if (note.sprite) note.sprite.visible = false;
+        if (note.bodySprite) note.bodySprite.visible = false;
+        if (note.tailSprite) note.tailSprite.visible = false;
+    }
     
     updateOffsetDisplay() {
-        if (this.offsetText) {
+        if (this.offsetText && this.replay) {
+            this.offsetText.text = `REPLAY x${this.playbackRate.toFixed(2)}`;
+        } else if (this.offsetText) {
             const ms = Math.round(this.GLOBAL_OFFSET * 1000);
             this.offsetText.text = `OFFSET: ${ms >= 0 ? '+' : ''}${ms}ms`;
         }
@@ -806,11 +1873,33 @@ export class RhythmGame {
         }
     }
     updateComboDigits() {
-        if (!this.comboDigits || !this.textures.comboDigits) return;
+        if (!this.comboDigits) return;
         const value = this.stats.combo;
         if (value <= 0) { this.comboDigits.visible = false; return; }
         const str = String(value);
         this.comboDigits.removeChildren();
+
+        // Skin ComboNumber0-9: digits side by side, centred on ComboNumberPos
+        const skinDigits = this.skinLayout ? this.skinLayout.comboDigits : null;
+        if (skinDigits && skinDigits.every(f => f && this.skin.texture(f))) {
+            const s = this.skinLayout.scale;
+            const advance = skinDigits[0].destw * s;
+            let x = -advance * str.length / 2;
+            for (const ch of str) {
+                const f = skinDigits[parseInt(ch, 10)];
+                const spr = new PIXI.Sprite(this.skin.texture(f));
+                spr.anchor.set(0, f.desth ? f.orgy / f.desth : 0);
+                spr.width = f.destw * s;
+                spr.height = f.desth * s;
+                spr.position.set(x, 0);
+                this.comboDigits.addChild(spr);
+                x += advance;
+            }
+            this.comboDigits.visible = true;
+            return;
+        }
+
+        if (!this.textures.comboDigits) return;
         const sprites = [];
         let totalW = 0;
         const H = 128; // Doubled size (was 128)
@@ -842,6 +1931,27 @@ export class RhythmGame {
     bounceCombo() {
         if (!this.comboDigits) return;
         if (this.comboBounceTick) this.app.ticker.remove(this.comboBounceTick);
+
+        // Skin combo: follow the ComboNumber / ComboText keyframes (a short drop into place)
+        if (this.skinLayout && this.skinLayout.comboFrames.length > 0) {
+            const frames = this.skinLayout.comboFrames;
+            const text = this.skinLayout.comboText;
+            let t = 0;
+            const fn = () => {
+                t += this.app.ticker.deltaMS;
+                const i = Math.min(frames.length - 1, Math.floor(t * this.skinLayout.comboFps / 1000));
+                this.comboDigits.position.y = this.skinY(frames[i].y);
+                if (text.length > 0 && this.comboSprite) this.applySkinFrame(this.comboSprite, text[Math.min(i, text.length - 1)]);
+                if (i >= frames.length - 1) {
+                    this.app.ticker.remove(fn);
+                    this.comboBounceTick = null;
+                }
+            };
+            this.comboBounceTick = fn;
+            this.app.ticker.add(fn);
+            return;
+        }
+
         let t = 0;
         const dur = 120;
         const startScale = 1.3;
@@ -861,22 +1971,44 @@ export class RhythmGame {
     }
     
 
-    checkHit(lane) {
-        // Use AudioContext time for judgment (Golden Rule)
-        const now = this.audioContext.currentTime;
-        const currentTime = now - this.audioStartTime + this.GLOBAL_OFFSET;
-        
+    // A lane pressed at chart time currentTime (the AudioContext clock, see chartTime(), or a replay's)
+    checkHit(lane, currentTime) {
         // Find nearest note in lane
         // Filter notes that are not hit/missed in this lane
-        // And within judge window (+- 150ms)
+        // And within the BAD window when early, the profile's miss cutoff when late
+        
+        // A press within the BAD window of a landmine sets it off
+        if (!this.autoDemo) {
+            for (const mine of this.runtimeNotes) {
+                if (mine.lane !== lane || mine.type !== 'mine' || mine.hit) continue;
+                if (Math.abs(mine.time - currentTime) * 1000 <= this.judge.bad) this.triggerMine(mine);
+            }
+            if (!this.isPlaying) return;
+        }
+        
+        // Re-grab a broken long note whose body is still passing the line
+        if (this.currentLNRule().regrab) {
+            const broken = this.runtimeNotes.find(n =>
+                n.lane === lane && n.broken && !n.hit && !n.missed &&
+                currentTime >= n.time && currentTime < n.time + n.duration
+            );
+            if (broken) {
+                this.regrabHold(broken, currentTime);
+                return;
+            }
+        }
         
         const candidates = this.runtimeNotes.filter(n => 
-            n.lane === lane && 
-            !n.hit && !n.missed && 
-            Math.abs(n.time - currentTime) < 0.15
+            n.lane === lane && n.type !== 'mine' &&
+            !n.hit && !n.missed && !n.isHolding && !n.broken && 
+            (currentTime - n.time) * 1000 >= -this.judge.bad &&
+            (currentTime - n.time) * 1000 <= this.judge.miss
         );
         
-        if (candidates.length === 0) return;
+        if (candidates.length === 0) {
+            this.playInvisibleNote(lane, currentTime);
+            return;
+        }
         
         // Pick closest
         candidates.sort((a, b) => Math.abs(a.time - currentTime) - Math.abs(b.time - currentTime));
@@ -884,20 +2016,10 @@ export class RhythmGame {
         
         const offsetSec = currentTime - target.time; // + late, - early
         const m = offsetSec * 1000;
-        let judge = 'MISS';
-        if (m >= -50 && m <= 50) {
-            judge = 'COOL';
-        } else if ((m >= 51 && m <= 85) || (m >= -85 && m <= -51)) {
-            judge = 'GOOD';
-        } else if ((m >= 86 && m <= 108) || (m >= -108 && m <= -86)) {
-            judge = 'BAD';
-        } else if (m > 108) {
-            judge = 'MISS';
-        } else {
-            judge = 'MISS';
-        }
+        const judge = judgeTiming(this.judge, m) || 'MISS';
         
         if (judge !== 'MISS') {
+            this.playNoteSound(target);
             // If Tap Note, mark as hit immediately
             if (target.type === 'tap') {
                 target.hit = true;
@@ -905,46 +2027,44 @@ export class RhythmGame {
             } 
             // If LN Head, mark as "holding"
             else if (target.type === 'ln') {
-                target.isHolding = true;
-                target.hitTime = currentTime; // Record when we started holding
+                this.beginHold(target, currentTime);
                 this.triggerHit(judge, lane); // Initial hit judgement
-                // Note: We do NOT set target.hit = true yet, because we need to check tail
-                // We keep it visible but maybe change appearance?
+                // Note: We do NOT set target.hit = true yet, the tail is judged on release
             }
         } else {
             this.triggerMiss(target);
         }
     }
     
+    // Empty press: the closest invisible note of the lane within the BAD window sounds
+    playInvisibleNote(lane, currentTime) {
+        let closest = null;
+        for (const n of this.invisibleNotes) {
+            if (n.lane !== lane || Math.abs(n.time - currentTime) * 1000 > this.judge.bad) continue;
+            if (!closest || Math.abs(n.time - currentTime) < Math.abs(closest.time - currentTime)) closest = n;
+        }
+        if (closest) this.playNoteSound(closest);
+    }
+
     triggerHit(judge, lane) {
         if (judge === 'BAD') {
             this.stats.combo = 0;
-            this.stats.comboBonus = 0;
         } else {
             this.stats.combo++;
             if (this.stats.combo > this.stats.maxCombo) this.stats.maxCombo = this.stats.combo;
-            if (this.stats.combo > 0 && this.stats.combo % 25 === 0) this.stats.comboBonus += 10;
         }
         
-        const bonus = (judge === 'COOL' || judge === 'GOOD') ? this.stats.comboBonus : 0;
-        if (judge === 'COOL') this.stats.score += 100 + bonus;
-        if (judge === 'GOOD') this.stats.score += 80 + bonus;
-        if (judge === 'BAD') this.stats.score += 10;
+        this.stats.score += judgmentScore(judge, this.stats.jam);
+        this.updateJam(judge);
         if (judge === 'COOL') this.stats.cool++;
         else if (judge === 'GOOD') this.stats.good++;
         else if (judge === 'BAD') this.stats.bad++;
         if (judge === 'COOL') this.stats.hp += 2;
         else if (judge === 'GOOD') this.stats.hp += 1.5;
         else if (judge === 'BAD') {/* no hp change */}
-        this.stats.hp = Math.max(0, Math.min(100, this.stats.hp));
-        if (this.stats.hp <= 0) {
-            const failTitle = document.getElementById('fail-title');
-            if (failTitle) failTitle.style.opacity = 1;
-            const btnExit = document.getElementById('btn-exit');
-            if (btnExit) btnExit.click();
-            return;
-        }
+        if (this.checkFailed()) return;
         if (this.stats.score < 0) this.stats.score = 0;
+        if (this.fastForward) return;
         
         this.updateHUD();
         if (judge !== 'BAD') this.bounceCombo();
@@ -952,43 +2072,72 @@ export class RhythmGame {
         this.showHitEffect(lane, judge);
     }
     
+    // Clamp HP; at 0 the song is failed and the game exits
+    checkFailed() {
+        this.stats.hp = Math.max(0, Math.min(100, this.stats.hp));
+        if (this.stats.hp > 0) return false;
+        this.saveReplay({ ...this.results(), failed: true });
+        const failTitle = document.getElementById('fail-title');
+        if (failTitle) failTitle.style.opacity = 1;
+        const btnExit = document.getElementById('btn-exit');
+        if (btnExit) btnExit.click();
+        return true;
+    }
+
+    // Landmine explosion: costs HP but keeps the combo
+    triggerMine(note) {
+        note.hit = true;
+        this.playNoteSound(note);
+        this.stats.hp -= note.damage ?? MINE_DEFAULT_DAMAGE;
+        if (this.checkFailed() || this.fastForward) return;
+        this.updateHUD();
+    }
+    
+    updateJam(judge) {
+        const gain = JAM_GAIN[judge];
+        if (!gain) {
+            this.stats.jam = 0;
+            this.stats.jamGauge = 0;
+            return;
+        }
+        this.stats.jamGauge += gain;
+        if (this.stats.jamGauge >= JAM_GAUGE_MAX) {
+            this.stats.jamGauge -= JAM_GAUGE_MAX;
+            this.stats.jam++;
+            if (this.stats.jam > this.stats.maxJam) this.stats.maxJam = this.stats.jam;
+        }
+    }
+
     triggerMiss(note) {
         note.missed = true;
         this.stats.combo = 0;
         this.stats.miss++;
-        this.stats.comboBonus = 0;
-        this.stats.score -= 20;
+        this.stats.score += judgmentScore('MISS', this.stats.jam);
+        this.updateJam('MISS');
         this.stats.hp -= 4;
-        this.stats.hp = Math.max(0, Math.min(100, this.stats.hp));
-        if (this.stats.hp <= 0) {
-            const failTitle = document.getElementById('fail-title');
-            if (failTitle) failTitle.style.opacity = 1;
-            const btnExit = document.getElementById('btn-exit');
-            if (btnExit) btnExit.click();
-            return;
-        }
+        if (this.checkFailed()) return;
         if (this.stats.score < 0) this.stats.score = 0;
+        if (this.fastForward) return;
         this.updateHUD();
         this.showJudgeText(note.lane, 'MISS');
     }
     
     updateHUD() {
-        const hudScore = document.getElementById('hud-score');
         const hudCombo = document.getElementById('hud-combo');
         const hudComboBox = document.getElementById('hud-combo-box');
-        const hudHealthFill = document.getElementById('hud-health-fill');
         
-        if(hudScore) hudScore.textContent = this.stats.score.toString().padStart(8, '0');
-        if(hudHealthFill) {
-            const h = Math.max(0, Math.min(100, this.stats.hp ?? 100));
-            hudHealthFill.style.height = `${h}%`;
+        if (this.hud) {
+            this.hud.setScore(this.stats.score);
+            this.hud.setHP((this.stats.hp ?? 100) / 100);
+            this.hud.setJam(this.stats.jamGauge / JAM_GAUGE_MAX);
         }
         if(hudCombo) { hudCombo.textContent = this.stats.combo; hudCombo.style.display = 'none'; }
         
-        // Acc calculation could be better but simple version:
-        const total = this.stats.combo + this.stats.miss; // Only processed notes
-        // This is wrong, combo resets. We need total hits.
-        // But for now it's fine.
+        // Accuracy / grade / EX score over the notes judged so far
+        if (el.hudAcc) {
+            const sc = computeScore(this.stats);
+            el.hudAcc.textContent = `${sc.grade}  ${sc.accuracy.toFixed(2)}%  EX ${sc.exScore}`;
+        }
         
         // Update Combo Digits
         this.updateComboDigits();
@@ -998,10 +2147,16 @@ export class RhythmGame {
     }
     
     showHitEffect(lane, judge) {
-        const x = this.startX + (this.laneColumn[lane] ?? lane) * this.LANE_WIDTH + this.LANE_WIDTH/2;
+        const x = this.laneX(lane);
         const y = this.HIT_Y; // Sync with Judge Line
         
-        if (this.assetsLoaded && this.textures.flares && this.textures.flares.length > 0) {
+        const skinFlare = this.skinLayout ? this.skinLayout.lanes[lane].flare : null;
+        if (skinFlare && skinFlare.frames.length > 0) {
+            const spr = new PIXI.Sprite();
+            if (skinFlare.additive) spr.blendMode = PIXI.BLEND_MODES.ADD;
+            this.effectsLayer.addChild(spr);
+            this.playSkinFrames(spr, skinFlare.frames, skinFlare.fps, false, () => spr.destroy());
+        } else if (this.assetsLoaded && this.textures.flares && this.textures.flares.length > 0) {
             const spr = new PIXI.Sprite(this.textures.flares[0]);
             spr.anchor.set(0.5, 0.5); // Center anchor
             spr.position.set(x, y);   // Position at lane center and judge line
@@ -1058,6 +2213,19 @@ export class RhythmGame {
     }
 
     showJudgeText(lane, judge) {
+        // Skin judgment: one at a time, animated by its keyframes, then held briefly
+        const skinJudge = this.skinLayout ? this.skinLayout.judgments[judge] : null;
+        if (skinJudge && skinJudge.frames.length > 0) {
+            if (this.skinJudgeSprite && !this.skinJudgeSprite.destroyed) this.skinJudgeSprite.destroy();
+            const spr = new PIXI.Sprite();
+            this.skinJudgeSprite = spr;
+            this.effectsLayer.addChild(spr);
+            this.playSkinFrames(spr, skinJudge.frames, skinJudge.fps, false, () => {
+                setTimeout(() => { if (!spr.destroyed) spr.destroy(); }, SKIN_JUDGE_HOLD);
+            });
+            return;
+        }
+
         // Use Sprite for Image Judgment
         const tex = this.textures.judgments ? this.textures.judgments[judge.toLowerCase()] : null;
         
@@ -1138,11 +2306,23 @@ export class RhythmGame {
         }
     }
 
-    stop() {
+    // Stop the song's audio (a manual stop, not the end of the song)
+    stopAudio() {
         if (this.audioSource) {
+            this.audioSource.onended = null;
             try { this.audioSource.stop(); } catch(e) {}
             this.audioSource = null;
         }
+        this.keysounds.stopAll();
+    }
+
+    stop() {
+        this.stopAudio();
+        if (this.replay) this.GLOBAL_OFFSET = this.playerOffset;
+        this.resumeRun++;
+        this.paused = false;
+        this.showCountdown(null);
+        this.app.ticker.start();
         if (this.audioContext && this.audioContext.state !== 'suspended') {
             try { this.audioContext.suspend(); } catch(e) {}
         }
@@ -1150,9 +2330,13 @@ export class RhythmGame {
         this.app.ticker.remove(this.update, this);
         if (this.notesLayer) this.notesLayer.removeChildren();
         if (this.effectsLayer) this.effectsLayer.removeChildren();
-        this.heldLanes = [false, false, false, false];
+        this.gridLayer.removeChildren().forEach(c => c.destroy());
+        this.gridGraphics = null;
+        this.heldLanes.fill(false);
+        this.heldLanes.forEach((_, lane) => this.setLanePressed(lane, false));
+        this.syncLongFlares([]);
         if (this.keyBeams) this.keyBeams.forEach(b => { if (b) b.visible = false; });
-        this.stats = { combo: 0, score: 0, cool: 0, good: 0, bad: 0, miss: 0, maxCombo: 0, comboBonus: 0, hp: 100 };
+        this.stats = createStats();
         if (this.comboDigits) {
             this.comboDigits.visible = false;
             this.comboDigits.removeChildren();
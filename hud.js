@@ -0,0 +1,114 @@
+// hud.js
+// In-game HUD (score, HP, song progress, Jam gauge) drawn from atlas textures in the game container
+
+// Positions in skin (800x600) coordinates, as in Skin_1234.xml
+export const HUD_LAYOUT = {
+    header: { texture: 'Myo2', x: 0, y: 8 },
+    progressBg: { texture: 'P_bar_bg', x: 0, y: 36 },
+    progress: { texture: 'P_bar', x: 18, y: 40, width: 130 },
+    hp: { texture: 'Hp', x: 515, y: 339, height: 197 },
+    jam: { texture: 'Jam', x: 292, y: 342, height: 194 },
+    score: { texture: 'Num_', right: 773, y: 11, digits: 8 }
+};
+
+export class AtlasHUD {
+    // textures: { name: PIXI.Texture } from loadAtlas()
+    constructor(textures, layout = HUD_LAYOUT) {
+        this.textures = textures;
+        this.layout = layout;
+        this.container = new PIXI.Container();
+        this.values = { score: 0, hp: 1, progress: 0, jam: 0 };
+
+        this.header = this.addSprite(layout.header.texture);
+        this.progressBg = this.addSprite(layout.progressBg.texture);
+        // Bars get their own texture copy so the visible frame can be cropped
+        this.progress = this.addSprite(layout.progress.texture, true);
+        this.hp = this.addSprite(layout.hp.texture, true);
+        this.jam = this.addSprite(layout.jam.texture, true);
+
+        this.scoreDigits = [];
+        for (let i = 0; i < layout.score.digits; i++) {
+            this.scoreDigits.push(this.addSprite(layout.score.texture + '0'));
+        }
+        this.place(0, 0, 1);
+    }
+
+    addSprite(name, cropped = false) {
+        const tex = this.textures[name];
+        if (!tex) {
+            console.warn(`HUD texture missing from atlas: ${name}`);
+            return null;
+        }
+        const spr = new PIXI.Sprite(cropped ? new PIXI.Texture(tex.baseTexture, tex.frame.clone()) : tex);
+        this.container.addChild(spr);
+        return spr;
+    }
+
+    // Map skin coordinates into the game container: design = x0 + skin * scale
+    place(x0, y0, scale) {
+        this.transform = { x0, y0, scale };
+        const L = this.layout;
+        const put = (spr, x, y) => {
+            if (!spr) return;
+            spr.scale.set(scale);
+            spr.position.set(x0 + x * scale, y0 + y * scale);
+        };
+        put(this.header, L.header.x, L.header.y);
+        put(this.progressBg, L.progressBg.x, L.progressBg.y);
+        put(this.progress, L.progress.x, L.progress.y);
+        put(this.hp, L.hp.x, L.hp.y);
+        put(this.jam, L.jam.x, L.jam.y);
+        const digitW = this.textures[L.score.texture + '0'] ? this.textures[L.score.texture + '0'].width : 25;
+        this.scoreDigits.forEach((spr, i) => {
+            put(spr, L.score.right - digitW * (this.scoreDigits.length - i), L.score.y);
+        });
+        this.setScore(this.values.score);
+        this.setHP(this.values.hp);
+        this.setProgress(this.values.progress);
+        this.setJam(this.values.jam);
+    }
+
+    setScore(score) {
+        this.values.score = score;
+        const str = String(Math.max(0, Math.floor(score))).padStart(this.scoreDigits.length, '0').slice(-this.scoreDigits.length);
+        this.scoreDigits.forEach((spr, i) => {
+            const tex = spr && this.textures[this.layout.score.texture + str[i]];
+            if (tex) spr.texture = tex;
+        });
+    }
+
+    // HP and Jam fill upwards from the bottom of their tube; fraction is 0..1
+    setHP(fraction) {
+        this.values.hp = clamp01(fraction);
+        this.cropVertical(this.hp, this.layout.hp, this.values.hp);
+    }
+
+    setJam(fraction) {
+        this.values.jam = clamp01(fraction);
+        this.cropVertical(this.jam, this.layout.jam, this.values.jam);
+    }
+
+    // Progress fills left to right
+    setProgress(fraction) {
+        this.values.progress = clamp01(fraction);
+        if (!this.progress) return;
+        const full = this.textures[this.layout.progress.texture].frame;
+        const w = Math.max(1, Math.round(Math.min(full.width, this.layout.progress.width) * this.values.progress));
+        this.progress.texture.frame = new PIXI.Rectangle(full.x, full.y, w, full.height);
+        this.progress.visible = this.values.progress > 0;
+    }
+
+    cropVertical(spr, cfg, fraction) {
+        if (!spr) return;
+        const full = this.textures[cfg.texture].frame;
+        const h = Math.min(full.height, cfg.height);
+        const visible = Math.max(1, Math.round(h * fraction));
+        spr.texture.frame = new PIXI.Rectangle(full.x, full.y + (h - visible), full.width, visible);
+        spr.position.y = this.transform.y0 + (cfg.y + h - visible) * this.transform.scale;
+        spr.visible = fraction > 0;
+    }
+}
+
+function clamp01(v) {
+    return Math.max(0, Math.min(1, Number(v) || 0));
+}
@@ -0,0 +1,52 @@
+// judge.js
+// Judgment-window profiles: timing windows, miss cutoff and long-note tolerance in one object
+
+// All values in ms either side of the note.
+//   cool/good/bad  judgment windows
+//   miss           a late press this close but outside BAD is a MISS; an untouched note is missed once it is this late.
+//                  Presses earlier than BAD are empty presses and leave the note alone.
+//   lnTolerance    extra ms added to every window when judging a long-note release
+export const JUDGE_PROFILES = {
+    'o2jam-ez': { name: 'O2Jam EZ', cool: 60, good: 100, bad: 125, miss: 160, lnTolerance: 40 },
+    'o2jam-nm': { name: 'O2Jam NM', cool: 50, good: 85, bad: 108, miss: 150, lnTolerance: 30 },
+    'o2jam-hd': { name: 'O2Jam HD', cool: 40, good: 70, bad: 90, miss: 125, lnTolerance: 20 },
+    // BMS #RANK 0-3 (VERY HARD / HARD / NORMAL / EASY): COOL/GOOD narrow with the rank, BAD is 200 ms
+    // for every rank and a press up to 250 ms off still takes the note as a MISS
+    'rank-0': { name: 'VERY HARD', cool: 24, good: 40, bad: 200, miss: 250, lnTolerance: 0 },
+    'rank-1': { name: 'HARD', cool: 30, good: 60, bad: 200, miss: 250, lnTolerance: 0 },
+    'rank-2': { name: 'NORMAL', cool: 40, good: 100, bad: 200, miss: 250, lnTolerance: 0 },
+    'rank-3': { name: 'EASY', cool: 60, good: 120, bad: 200, miss: 250, lnTolerance: 0 }
+};
+
+export const DEFAULT_JUDGE = 'o2jam-nm';
+
+// Custom profile from user values; missing or invalid fields fall back to the default profile
+// and the windows are kept in order (cool <= good <= bad <= miss).
+export function createJudgeProfile(values = {}) {
+    const base = JUDGE_PROFILES[DEFAULT_JUDGE];
+    const num = (v, fallback) => (Number.isFinite(Number(v)) && Number(v) >= 0 ? Number(v) : fallback);
+    const cool = num(values.cool, base.cool);
+    const good = Math.max(cool, num(values.good, base.good));
+    const bad = Math.max(good, num(values.bad, base.bad));
+    const miss = Math.max(bad, num(values.miss, base.miss));
+    return { name: 'CUSTOM', cool, good, bad, miss, lnTolerance: num(values.lnTolerance, base.lnTolerance) };
+}
+
+// Profile for a chart. choice is a JUDGE_PROFILES key, 'custom' (uses customValues) or 'auto':
+// the chart's #RANK if it has one, else the default.
+export function resolveJudgeProfile(choice, chart, customValues) {
+    if (choice === 'custom') return createJudgeProfile(customValues);
+    if (JUDGE_PROFILES[choice]) return JUDGE_PROFILES[choice];
+    const rank = chart ? chart.rank : null;
+    if (rank !== null && rank !== undefined && JUDGE_PROFILES[`rank-${rank}`]) return JUDGE_PROFILES[`rank-${rank}`];
+    return JUDGE_PROFILES[DEFAULT_JUDGE];
+}
+
+// Judgment for a timing error in ms, or null if it is outside every window
+export function judgeTiming(profile, ms, tolerance = 0) {
+    const d = Math.abs(ms);
+    if (d <= profile.cool + tolerance) return 'COOL';
+    if (d <= profile.good + tolerance) return 'GOOD';
+    if (d <= profile.bad + tolerance) return 'BAD';
+    return null;
+}
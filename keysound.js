@@ -0,0 +1,103 @@
+// keysound.js
+// Decodes the #WAVxx samples of a chart and plays them on the AudioContext clock
+
+export class KeysoundPlayer {
+    constructor(audioContext) {
+        this.audioContext = audioContext;
+        this.output = audioContext.destination;
+        this.buffers = new Map(); // sample id -> AudioBuffer
+        this.cache = new Map(); // url -> Promise<AudioBuffer|null>, survives between plays
+        this.voices = new Map(); // sample id -> Set of its sources (BMS cuts a sample on retrigger)
+        this.active = new Set(); // every source that is playing or scheduled
+    }
+
+    // Decode every sample referenced by the WAV table.
+    // resolveUrl(filename) returns a fetchable URL, or null if the file is not available.
+    // Resolves to the number of samples that decoded successfully.
+    async load(wavs, resolveUrl) {
+        this.buffers.clear();
+        const jobs = [];
+        for (const [id, name] of Object.entries(wavs || {})) {
+            const url = resolveUrl ? resolveUrl(name) : name;
+            if (!url) continue;
+            jobs.push(this.decode(url).then(buffer => {
+                if (buffer) this.buffers.set(id, buffer);
+            }));
+        }
+        await Promise.all(jobs);
+        return this.buffers.size;
+    }
+
+    decode(url) {
+        if (!this.cache.has(url)) {
+            const job = fetch(url)
+                .then(r => {
+                    if (!r.ok) throw new Error(`HTTP ${r.status}`);
+                    return r.arrayBuffer();
+                })
+                .then(data => this.audioContext.decodeAudioData(data))
+                .catch(e => {
+                    console.warn(`Keysound load failed: ${url}`, e);
+                    this.cache.delete(url);
+                    return null;
+                });
+            this.cache.set(url, job);
+        }
+        return this.cache.get(url);
+    }
+
+    has(id) {
+        return this.buffers.has(id);
+    }
+
+    // Share of the playable notes (taps and long notes) whose sample decoded
+    coverage(notes) {
+        const playable = notes.filter(n => n.type === 'tap' || n.type === 'ln');
+        if (playable.length === 0) return 0;
+        return playable.filter(n => this.buffers.has(n.sampleId)).length / playable.length;
+    }
+
+    duration(id) {
+        const buffer = this.buffers.get(id);
+        return buffer ? buffer.duration : 0;
+    }
+
+    // Start sample `id` at AudioContext time `when` (0 = now), `offset` seconds into the sample,
+    // sped up by `rate` (practice playback)
+    play(id, when = 0, offset = 0, rate = 1) {
+        const buffer = this.buffers.get(id);
+        if (!buffer) return null;
+
+        const startAt = Math.max(when, this.audioContext.currentTime);
+        // Retrigger cuts the voices that have started by then; BGM scheduled further ahead keeps playing
+        const voices = this.voices.get(id) || new Set();
+        for (const prev of voices) {
+            if (prev.startAt > startAt) continue;
+            try { prev.stop(startAt); } catch(e) {}
+        }
+
+        const source = this.audioContext.createBufferSource();
+        source.buffer = buffer;
+        source.playbackRate.value = rate;
+        source.connect(this.output);
+        source.onended = () => {
+            this.active.delete(source);
+            voices.delete(source);
+            if (voices.size === 0 && this.voices.get(id) === voices) this.voices.delete(id);
+        };
+        source.start(startAt, Math.max(0, offset));
+        source.startAt = startAt;
+        this.active.add(source);
+        voices.add(source);
+        this.voices.set(id, voices);
+        return source;
+    }
+
+    stopAll() {
+        for (const source of this.active) {
+            try { source.stop(); } catch(e) {}
+        }
+        this.active.clear();
+        this.voices.clear();
+    }
+}
@@ -0,0 +1,141 @@
+// modifiers.js
+// Lane and long-note modifiers, applied to a chart's notes before the game builds its runtime notes
+import { createRNG } from './random.js';
+import { TimingMap } from './timing.js';
+
+// Turntable lanes per key mode (see KEY_LAYOUTS); they keep their notes under every lane modifier
+const SCRATCH_LANES = {
+    '5K': [0],
+    '7K': [0],
+    '5K-2P': [5],
+    '7K-2P': [7],
+    '10K': [0, 11],
+    '14K': [0, 15]
+};
+// Double play: keys are only moved within their own side; lanes before this index are the 1P side
+const SIDE_SPLIT = { '10K': 6, '14K': 8 };
+
+// S-RANDOM: a lane needs this many seconds since its last note (or LN tail) before it gets another
+const SRANDOM_MIN_GAP = 0.08;
+
+// ALL LN, in beats so holds follow the BPM: holds end ALL_LN_GAP before the next note of the lane; the last note
+// of a lane is held ALL_LN_LAST. Gaps too short for a hold of ALL_LN_MIN keep the tap.
+const ALL_LN_GAP = 0.25;
+const ALL_LN_MIN = 0.25;
+const ALL_LN_LAST = 1;
+
+// Modifiers of a run with none of them on
+export const NO_MODIFIERS = { lane: null, ln: null, seed: 0 };
+
+// Lane modifiers: apply(notes, groups, rng) moves notes within each group of key lanes
+export const LANE_MODIFIERS = {
+    mirror: { name: 'MIRROR', apply: (notes, groups) => permute(notes, groups, groups.map(g => [...g].reverse())) },
+    random: { name: 'RANDOM', apply: (notes, groups, rng) => permute(notes, groups, groups.map(g => shuffle(g, rng))) },
+    srandom: { name: 'S-RANDOM', apply: superRandom }
+};
+
+// Long-note modifiers
+export const LN_MODIFIERS = {
+    noln: { name: 'NO LN' },
+    allln: { name: 'ALL LN' }
+};
+
+// modifiers: { lane: LANE_MODIFIERS key or null, ln: LN_MODIFIERS key or null, seed }.
+// timing is the chart's TimingMap (ALL LN measures its holds in beats); without one the chart is taken as 120 BPM.
+// Long notes are removed before lanes are moved and created after, so ALL LN fills the gaps of the final lanes.
+// Returns new notes sorted by time; the chart's notes are not changed.
+export function applyModifiers(notes, keyMode, laneCount, modifiers, timing = null) {
+    let out = notes.map(n => ({ ...n }));
+    if (modifiers.ln === 'noln') out = out.map(n => (n.type === 'ln' ? { ...n, type: 'tap', duration: 0 } : n));
+    const lane = LANE_MODIFIERS[modifiers.lane];
+    if (lane) out = lane.apply(out, laneGroups(keyMode, laneCount), createRNG(modifiers.seed || 0));
+    if (modifiers.ln === 'allln') out = allLongNotes(out, timing || TimingMap.constant(120));
+    return out.sort((a, b) => a.time - b.time);
+}
+
+// Short label for the select screen, e.g. 'MIRROR · NO LN'
+export function modifierLabel(modifiers) {
+    const parts = [];
+    if (LANE_MODIFIERS[modifiers.lane]) parts.push(LANE_MODIFIERS[modifiers.lane].name);
+    if (LN_MODIFIERS[modifiers.ln]) parts.push(LN_MODIFIERS[modifiers.ln].name);
+    return parts.join(' · ') || 'OFF';
+}
+
+// Key lanes that may trade notes: every lane but the turntables, split per side in double play
+function laneGroups(keyMode, laneCount) {
+    const scratch = SCRATCH_LANES[keyMode] || [];
+    const keys = [];
+    for (let lane = 0; lane < laneCount; lane++) {
+        if (!scratch.includes(lane)) keys.push(lane);
+    }
+    const split = SIDE_SPLIT[keyMode];
+    return split ? [keys.filter(l => l < split), keys.filter(l => l >= split)] : [keys];
+}
+
+function shuffle(list, rng) {
+    const out = [...list];
+    for (let i = out.length - 1; i > 0; i--) {
+        const j = Math.floor(rng() * (i + 1));
+        [out[i], out[j]] = [out[j], out[i]];
+    }
+    return out;
+}
+
+// Whole-lane moves: the notes of groups[k][i] go to targets[k][i]
+function permute(notes, groups, targets) {
+    const map = new Map();
+    groups.forEach((group, k) => group.forEach((lane, i) => map.set(lane, targets[k][i])));
+    return notes.map(n => (map.has(n.lane) ? { ...n, lane: map.get(n.lane) } : n));
+}
+
+// S-RANDOM: every note gets its own random lane among the lanes of its group that are free: past the previous
+// note's tail and SRANDOM_MIN_GAP after it, so there are no impossible jacks and no overlapping holds.
+// In a dense spot where no lane is that free, the note goes to the lane released (before this moment) longest ago.
+// If every lane is still busy, it takes the lane that frees first without a note starting at the same time,
+// so a chord never stacks two notes in one lane. Invisible notes follow along without taking lanes.
+function superRandom(notes, groups, rng) {
+    const groupOf = new Map();
+    groups.forEach(g => g.forEach(lane => groupOf.set(lane, g)));
+    const startAt = new Map(); // lane -> time its last note starts
+    const endAt = new Map(); // lane -> time its last note (or LN tail) ends
+    const ended = (lane) => endAt.get(lane) ?? -Infinity;
+    const earliestEnd = (lanes) => lanes.reduce((best, l) => (ended(l) < ended(best) ? l : best));
+    return [...notes].sort((a, b) => a.time - b.time).map(n => {
+        const group = groupOf.get(n.lane);
+        if (!group) return n;
+        const free = group.filter(lane => ended(lane) + SRANDOM_MIN_GAP <= n.time);
+        const released = group.filter(lane => ended(lane) < n.time);
+        const unstarted = group.filter(lane => !(startAt.get(lane) >= n.time));
+        let lane;
+        if (free.length > 0) lane = free[Math.floor(rng() * free.length)];
+        else if (released.length > 0) lane = earliestEnd(released);
+        else lane = earliestEnd(unstarted.length > 0 ? unstarted : group);
+        if (n.type !== 'invisible') {
+            startAt.set(lane, n.time);
+            endAt.set(lane, n.time + (n.duration || 0));
+        }
+        return { ...n, lane };
+    });
+}
+
+// ALL LN: taps become holds reaching up to ALL_LN_GAP beats before the next note of their lane
+function allLongNotes(notes, timing) {
+    const byLane = new Map();
+    for (const n of notes) {
+        if (n.type !== 'tap' && n.type !== 'ln' && n.type !== 'mine') continue;
+        if (!byLane.has(n.lane)) byLane.set(n.lane, []);
+        byLane.get(n.lane).push(n);
+    }
+    const converted = new Map();
+    for (const list of byLane.values()) {
+        list.sort((a, b) => a.time - b.time);
+        list.forEach((n, i) => {
+            if (n.type !== 'tap') return;
+            const next = list[i + 1];
+            const beat = timing.beatAt(n.time);
+            const end = next ? timing.beatAt(next.time) - ALL_LN_GAP : beat + ALL_LN_LAST;
+            if (end - beat >= ALL_LN_MIN) converted.set(n, { ...n, type: 'ln', duration: timing.timeAt(end) - n.time });
+        });
+    }
+    return notes.map(n => converted.get(n) || n);
+}
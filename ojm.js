@@ -0,0 +1,207 @@
+// ojm.js
+// O2Jam .ojm sample packs (M30 and OMC/OJM) decoded to playable blobs for the keysound player
+import { OJM_BGM_SAMPLE_BASE } from './ojn.js';
+
+// M30 payloads are XORed with one of these 4-byte masks, chosen by the header's encryption flag
+const M30_MASKS = {
+    16: [0x6E, 0x61, 0x6D, 0x69], // "nami"
+    32: [0x30, 0x34, 0x31, 0x32] // "0412"
+};
+const M30_HEADER_SIZE = 28;
+const M30_SAMPLE_HEADER_SIZE = 52;
+const M30_CODEC_BGM = 0;
+const M30_CODEC_KEYSOUND = 5;
+
+const OMC_HEADER_SIZE = 20;
+const OMC_WAV_HEADER_SIZE = 56;
+const OMC_OGG_HEADER_SIZE = 36;
+
+// OMC WAV data is cut into 17 blocks and shuffled; row (length % 17) of this table gives each block's place
+const REARRANGE_TABLE = [
+    0x10, 0x0E, 0x02, 0x09, 0x04, 0x00, 0x07, 0x01, 0x06, 0x08, 0x0F, 0x0A, 0x05, 0x0C, 0x03, 0x0D, 0x0B,
+    0x07, 0x02, 0x0A, 0x0B, 0x03, 0x05, 0x0D, 0x08, 0x04, 0x00, 0x0C, 0x06, 0x0F, 0x0E, 0x10, 0x01, 0x09,
+    0x0C, 0x0D, 0x03, 0x00, 0x06, 0x09, 0x0A, 0x01, 0x07, 0x08, 0x10, 0x02, 0x0B, 0x0E, 0x04, 0x0F, 0x05,
+    0x08, 0x03, 0x04, 0x0D, 0x06, 0x05, 0x0B, 0x10, 0x02, 0x0C, 0x07, 0x09, 0x0A, 0x0F, 0x0E, 0x00, 0x01,
+    0x0F, 0x02, 0x0C, 0x0D, 0x00, 0x04, 0x01, 0x05, 0x07, 0x03, 0x09, 0x10, 0x06, 0x0B, 0x0A, 0x08, 0x0E,
+    0x00, 0x04, 0x0B, 0x10, 0x0F, 0x0D, 0x0C, 0x06, 0x05, 0x07, 0x01, 0x02, 0x03, 0x08, 0x09, 0x0A, 0x0E,
+    0x03, 0x10, 0x08, 0x07, 0x06, 0x09, 0x0E, 0x0D, 0x00, 0x0A, 0x0B, 0x04, 0x05, 0x0C, 0x02, 0x01, 0x0F,
+    0x04, 0x0E, 0x10, 0x0F, 0x05, 0x08, 0x07, 0x0B, 0x00, 0x01, 0x06, 0x02, 0x0C, 0x09, 0x03, 0x0A, 0x0D,
+    0x06, 0x0D, 0x0E, 0x07, 0x10, 0x0A, 0x0B, 0x00, 0x01, 0x0C, 0x0F, 0x02, 0x03, 0x08, 0x09, 0x04, 0x05,
+    0x0A, 0x0C, 0x00, 0x08, 0x09, 0x0D, 0x03, 0x04, 0x05, 0x10, 0x0E, 0x0F, 0x01, 0x02, 0x0B, 0x06, 0x07,
+    0x05, 0x06, 0x0C, 0x04, 0x0D, 0x0F, 0x07, 0x0E, 0x08, 0x01, 0x09, 0x02, 0x10, 0x0A, 0x0B, 0x00, 0x03,
+    0x0B, 0x0F, 0x04, 0x0E, 0x03, 0x01, 0x00, 0x02, 0x0D, 0x0C, 0x06, 0x07, 0x05, 0x10, 0x09, 0x08, 0x0A,
+    0x03, 0x02, 0x01, 0x00, 0x04, 0x0C, 0x0D, 0x0B, 0x10, 0x05, 0x06, 0x0F, 0x0E, 0x07, 0x09, 0x0A, 0x08,
+    0x09, 0x0A, 0x00, 0x07, 0x08, 0x06, 0x10, 0x03, 0x04, 0x01, 0x02, 0x05, 0x0B, 0x0E, 0x0F, 0x0D, 0x0C,
+    0x0A, 0x06, 0x09, 0x0C, 0x0B, 0x10, 0x07, 0x08, 0x00, 0x0F, 0x03, 0x01, 0x02, 0x05, 0x0D, 0x0E, 0x04,
+    0x0D, 0x00, 0x01, 0x0E, 0x02, 0x03, 0x08, 0x0B, 0x07, 0x0C, 0x09, 0x05, 0x0A, 0x0F, 0x04, 0x06, 0x10,
+    0x01, 0x0E, 0x02, 0x03, 0x0D, 0x0B, 0x07, 0x00, 0x08, 0x0C, 0x09, 0x06, 0x0F, 0x10, 0x05, 0x0A, 0x04
+];
+
+// A plain Uint8Array view of the data, so the bytes.slice() calls below copy: a Node Buffer's slice()
+// is a view and decoding would overwrite the file's own bytes
+function toBytes(data) {
+    if (ArrayBuffer.isView(data)) return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    return new Uint8Array(data);
+}
+
+function nameAt(bytes, offset) {
+    const field = bytes.subarray(offset, offset + 32);
+    const end = field.indexOf(0);
+    return new TextDecoder('ascii').decode(end < 0 ? field : field.subarray(0, end));
+}
+
+// Samples of an .ojm as { format, samples: [{ id, name, blob }] }.
+// Ids match the sample ids of OJNParser charts (background samples start at OJM_BGM_SAMPLE_BASE).
+export function readOJM(data) {
+    const bytes = toBytes(data);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const signature = bytes.length >= 4 ? new TextDecoder('ascii').decode(bytes.subarray(0, 3)) : '';
+    if (signature === 'M30') return { format: 'M30', samples: readM30(bytes, view) };
+    if (signature === 'OMC' || signature === 'OJM') return { format: signature, samples: readOMC(bytes, view, signature === 'OMC') };
+    throw new Error('不是有效的 O2Jam .ojm 文件');
+}
+
+// M30: a list of OGG samples, optionally XOR-masked
+function readM30(bytes, view) {
+    const encryption = view.getInt32(8, true);
+    const count = view.getInt32(12, true);
+    const mask = M30_MASKS[encryption];
+    if (encryption !== 0 && !mask) throw new Error(`不支持的 M30 加密方式: ${encryption}`);
+
+    const samples = [];
+    let p = view.getInt32(16, true) || M30_HEADER_SIZE;
+    for (let n = 0; n < count && p + M30_SAMPLE_HEADER_SIZE <= bytes.length; n++) {
+        const name = nameAt(bytes, p);
+        const size = view.getInt32(p + 32, true);
+        const codec = view.getInt16(p + 36, true);
+        const ref = view.getInt16(p + 44, true);
+        p += M30_SAMPLE_HEADER_SIZE;
+        if (size < 0 || p + size > bytes.length) throw new Error('M30 样本数据被截断');
+        const payload = bytes.slice(p, p + size);
+        p += size;
+        if (mask) {
+            // Only whole 4-byte groups are masked
+            for (let i = 0; i + 3 < payload.length; i += 4) {
+                for (let k = 0; k < 4; k++) payload[i + k] ^= mask[k];
+            }
+        }
+        let id;
+        if (codec === M30_CODEC_BGM) id = OJM_BGM_SAMPLE_BASE + ref;
+        else if (codec === M30_CODEC_KEYSOUND) id = ref;
+        else {
+            console.warn(`ojm: sample ${name} has unknown codec ${codec}`);
+            continue;
+        }
+        samples.push({ id, name, blob: new Blob([payload], { type: 'audio/ogg' }) });
+    }
+    return samples;
+}
+
+// OMC / OJM: PCM WAV samples (ids from 0) followed by OGG samples (ids from OJM_BGM_SAMPLE_BASE).
+// OMC scrambles and XORs the WAV data; OJM stores it as is.
+function readOMC(bytes, view, encrypted) {
+    const wavCount = view.getInt16(4, true);
+    const oggCount = view.getInt16(6, true);
+    const wavStart = view.getInt32(8, true) || OMC_HEADER_SIZE;
+    const oggStart = view.getInt32(12, true);
+    const fileSize = Math.min(view.getInt32(16, true) || bytes.length, bytes.length);
+    const samples = [];
+
+    // The XOR key runs on across all WAV samples of the file
+    const xor = { keyByte: 0xFF, counter: 0 };
+    let p = wavStart;
+    for (let id = 0; id < wavCount && p + OMC_WAV_HEADER_SIZE <= oggStart; id++) {
+        const name = nameAt(bytes, p);
+        const format = {
+            audioFormat: view.getInt16(p + 32, true),
+            channels: view.getInt16(p + 34, true),
+            sampleRate: view.getInt32(p + 36, true),
+            byteRate: view.getInt32(p + 40, true),
+            blockAlign: view.getInt16(p + 44, true),
+            bitsPerSample: view.getInt16(p + 46, true)
+        };
+        const size = view.getInt32(p + 52, true);
+        p += OMC_WAV_HEADER_SIZE;
+        if (size <= 0) continue; // Empty slots still take an id
+        if (p + size > oggStart) throw new Error('OMC 样本数据被截断');
+        let pcm = bytes.slice(p, p + size);
+        p += size;
+        if (encrypted) {
+            pcm = rearrange(pcm);
+            accXor(pcm, xor);
+        }
+        samples.push({ id, name, blob: new Blob([wavHeader(format, pcm.length), pcm], { type: 'audio/wav' }) });
+    }
+
+    p = oggStart;
+    for (let n = 0; n < oggCount && p + OMC_OGG_HEADER_SIZE <= fileSize; n++) {
+        const name = nameAt(bytes, p);
+        const size = view.getInt32(p + 32, true);
+        p += OMC_OGG_HEADER_SIZE;
+        if (size <= 0) continue;
+        if (p + size > fileSize) throw new Error('OMC 样本数据被截断');
+        samples.push({ id: OJM_BGM_SAMPLE_BASE + n, name, blob: new Blob([bytes.slice(p, p + size)], { type: 'audio/ogg' }) });
+        p += size;
+    }
+    return samples;
+}
+
+// Put the 17 shuffled blocks back in order; the remainder past 17 whole blocks stays in place
+function rearrange(data) {
+    const length = data.length;
+    const blockSize = Math.floor(length / 17);
+    const plain = data.slice();
+    let key = (length % 17) * 17;
+    for (let block = 0; block < 17; block++, key++) {
+        const from = blockSize * block;
+        plain.set(data.subarray(from, from + blockSize), blockSize * REARRANGE_TABLE[key]);
+    }
+    return plain;
+}
+
+// Bytes are inverted while the matching bit of the key byte is set; every 8 bytes the last encrypted byte
+// becomes the new key
+function accXor(data, state) {
+    for (let i = 0; i < data.length; i++) {
+        const encrypted = data[i];
+        if (((state.keyByte << state.counter) & 0x80) !== 0) data[i] = ~encrypted & 0xFF;
+        state.counter++;
+        if (state.counter > 7) {
+            state.counter = 0;
+            state.keyByte = encrypted;
+        }
+    }
+}
+
+// RIFF header for raw PCM with the format stored in the OMC sample header
+function wavHeader(format, dataSize) {
+    const header = new ArrayBuffer(44);
+    const v = new DataView(header);
+    const ascii = (offset, text) => [...text].forEach((c, i) => v.setUint8(offset + i, c.charCodeAt(0)));
+    ascii(0, 'RIFF');
+    v.setUint32(4, 36 + dataSize, true);
+    ascii(8, 'WAVE');
+    ascii(12, 'fmt ');
+    v.setUint32(16, 16, true);
+    v.setUint16(20, format.audioFormat || 1, true);
+    v.setUint16(22, format.channels, true);
+    v.setUint32(24, format.sampleRate, true);
+    v.setUint32(28, format.byteRate, true);
+    v.setUint16(32, format.blockAlign, true);
+    v.setUint16(34, format.bitsPerSample, true);
+    ascii(36, 'data');
+    v.setUint32(40, dataSize, true);
+    return header;
+}
+
+// name -> object URL for the samples of a pack; OJNParser charts name their samples by id
+export function sampleResolver(samples) {
+    const byId = new Map(samples.map(s => [String(s.id), s]));
+    const urls = new Map();
+    return (name) => {
+        const sample = byId.get(String(name));
+        if (!sample) return null;
+        if (!urls.has(sample)) urls.set(sample, URL.createObjectURL(sample.blob));
+        return urls.get(sample);
+    };
+}
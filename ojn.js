@@ -0,0 +1,261 @@
+// ojn.js
+// O2Jam .ojn binary chart parser: one chart per difficulty (EZ/NM/HD), same chart object as BMSParser.parse()
+import { TimingMap } from './timing.js';
+import { detectEncoding } from './encoding.js';
+
+const HEADER_SIZE = 300;
+const DIFFICULTY_NAMES = ['EZ', 'NM', 'HD'];
+const BEATS_PER_MEASURE = 4;
+
+// Package channels: 0 measure length, 1 BPM, 2-8 the seven lanes, 9+ background samples
+const CHANNEL_MEASURE = 0;
+const CHANNEL_BPM = 1;
+const FIRST_LANE_CHANNEL = 2;
+const LANE_COUNT = 7;
+
+// Note event types (after `% 4`)
+const NOTE_TAP = 0;
+const NOTE_LN_START = 2;
+const NOTE_LN_END = 3;
+
+// Samples of the .ojm past this id are its OGG/background section
+export const OJM_BGM_SAMPLE_BASE = 1000;
+
+export class OJNParser {
+    // data is the .ojn file (ArrayBuffer / Uint8Array); options.encoding decodes the header strings ('auto' by default)
+    constructor(data, options = {}) {
+        this.bytes = ArrayBuffer.isView(data) ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength) : new Uint8Array(data);
+        this.view = new DataView(this.bytes.buffer, this.bytes.byteOffset, this.bytes.byteLength);
+        this.options = options;
+        this.diagnostics = []; // file-level { severity, line, channel, message }, copied into every chart
+    }
+
+    diagnose(severity, channel, message, list = this.diagnostics) {
+        // Binary charts have no line numbers
+        list.push({ severity, line: null, channel, message });
+    }
+
+    // Charts for EZ, NM and HD in that order
+    parse() {
+        const header = this.readHeader();
+        if (!header) return [this.buildChart(null, 0, [], [], null, this.diagnostics)];
+        this.header = header;
+        return DIFFICULTY_NAMES.map((name, d) => this.parseDifficulty(d));
+    }
+
+    readHeader() {
+        const v = this.view;
+        if (this.bytes.length < HEADER_SIZE || this.string(4, 4, 'ascii') !== 'ojn') {
+            this.diagnose('error', null, '不是有效的 O2Jam .ojn 文件');
+            return null;
+        }
+        const ints = (offset, n) => Array.from({ length: n }, (_, i) => v.getInt32(offset + i * 4, true));
+        // Title, artist and noter share one legacy encoding (usually EUC-KR or GBK)
+        const raw = [this.field(108, 64), this.field(172, 32), this.field(204, 32)];
+        const joined = new Uint8Array(raw.reduce((n, b) => n + b.length + 1, 0));
+        raw.reduce((at, b) => (joined.set(b, at), at + b.length + 1), 0);
+        const choice = this.options.encoding || 'auto';
+        this.encoding = choice === 'auto' ? detectEncoding(joined) : choice;
+        const decoder = new TextDecoder(this.encoding);
+        return {
+            songId: v.getInt32(0, true),
+            genre: v.getInt32(12, true),
+            bpm: v.getFloat32(16, true),
+            levels: [0, 1, 2].map(i => v.getInt16(20 + i * 2, true)),
+            eventCounts: ints(28, 3),
+            noteCounts: ints(40, 3),
+            measureCounts: ints(52, 3),
+            packageCounts: ints(64, 3),
+            title: decoder.decode(raw[0]),
+            artist: decoder.decode(raw[1]),
+            noter: decoder.decode(raw[2]),
+            ojm: this.string(236, 32, 'ascii'),
+            coverSize: v.getInt32(268, true),
+            times: ints(272, 3),
+            noteOffsets: ints(284, 3),
+            coverOffset: v.getInt32(296, true)
+        };
+    }
+
+    // Null-terminated byte field
+    field(offset, length) {
+        const bytes = this.bytes.subarray(offset, offset + length);
+        const end = bytes.indexOf(0);
+        return end < 0 ? bytes : bytes.subarray(0, end);
+    }
+
+    string(offset, length, encoding) {
+        return new TextDecoder(encoding).decode(this.field(offset, length));
+    }
+
+    parseDifficulty(d) {
+        const h = this.header;
+        const diagnostics = this.diagnostics.slice();
+        const start = h.noteOffsets[d];
+        const end = d < 2 ? h.noteOffsets[d + 1] : (h.coverOffset > start ? h.coverOffset : this.bytes.length);
+        if (!(start >= HEADER_SIZE && end <= this.bytes.length && start <= end)) {
+            this.diagnose('error', null, `${DIFFICULTY_NAMES[d]} 的谱面数据位置无效`, diagnostics);
+            return this.buildChart(d, 0, [], [], null, diagnostics);
+        }
+
+        // Package: int32 measure, int16 channel, int16 event count, then 4 bytes per event
+        const packages = [];
+        let p = start;
+        while (p + 8 <= end) {
+            const measure = this.view.getInt32(p, true);
+            const channel = this.view.getInt16(p + 4, true);
+            const count = this.view.getInt16(p + 6, true);
+            p += 8;
+            if (count < 0 || p + count * 4 > end) {
+                this.diagnose('error', String(channel), `小节 ${measure} 的数据被截断`, diagnostics);
+                break;
+            }
+            packages.push({ measure, channel, count, offset: p });
+            p += count * 4;
+        }
+        if (packages.length !== h.packageCounts[d]) {
+            this.diagnose('warning', null, `${DIFFICULTY_NAMES[d]} 的数据包数量 (${packages.length}) 与文件头 (${h.packageCounts[d]}) 不符`, diagnostics);
+        }
+
+        // Measure lengths first, since every event position depends on them
+        const measureCount = Math.max(h.measureCounts[d], ...packages.map(pk => pk.measure + 1), 0);
+        const lengths = new Array(measureCount + 1).fill(1);
+        for (const pk of packages) {
+            if (pk.channel !== CHANNEL_MEASURE) continue;
+            for (let i = 0; i < pk.count; i++) {
+                const value = this.view.getFloat32(pk.offset + i * 4, true);
+                if (value > 0) lengths[pk.measure] = value;
+            }
+        }
+        const measureBeats = [0];
+        for (let m = 0; m < lengths.length; m++) measureBeats.push(measureBeats[m] + lengths[m] * BEATS_PER_MEASURE);
+        const beatOf = (pk, i) => measureBeats[pk.measure] + lengths[pk.measure] * BEATS_PER_MEASURE * i / pk.count;
+
+        const bpmEvents = [];
+        const noteEvents = [];
+        const bgmEvents = [];
+        const sampleIds = new Set();
+        for (const pk of packages) {
+            if (pk.channel === CHANNEL_MEASURE) continue;
+            for (let i = 0; i < pk.count; i++) {
+                const at = pk.offset + i * 4;
+                const beat = beatOf(pk, i);
+                if (pk.channel === CHANNEL_BPM) {
+                    const bpm = this.view.getFloat32(at, true);
+                    if (bpm > 0) bpmEvents.push({ beat, bpm });
+                    continue;
+                }
+                // int16 sample (1-based, 0 = empty), int8 volume/pan, int8 note type
+                const value = this.view.getInt16(at, true);
+                if (value <= 0) continue;
+                const rawType = this.view.getUint8(at + 3);
+                // Types 4-7 refer to the background (OGG) section of the .ojm
+                const id = String(value - 1 + (rawType % 8 > 3 ? OJM_BGM_SAMPLE_BASE : 0));
+                sampleIds.add(id);
+                if (pk.channel < FIRST_LANE_CHANNEL + LANE_COUNT) {
+                    noteEvents.push({ beat, lane: pk.channel - FIRST_LANE_CHANNEL, type: rawType % 4, id, measure: pk.measure });
+                } else {
+                    bgmEvents.push({ beat, id });
+                }
+            }
+        }
+
+        const { timing, bpms } = this.buildTiming(bpmEvents);
+        const notes = this.pairNotes(noteEvents, timing, diagnostics);
+        const barLines = measureBeats.slice(0, measureCount + 1)
+            .map((beat, measure) => ({ measure, beat, time: timing.timeAt(beat) }));
+        const bgm = bgmEvents.map(e => ({ time: timing.timeAt(e.beat), id: e.id })).sort((a, b) => a.time - b.time);
+        return this.buildChart(d, measureCount, notes, bgm, { timing, bpms, barLines, sampleIds }, diagnostics);
+    }
+
+    // TimingMap from the header BPM and channel 1 changes
+    buildTiming(bpmEvents) {
+        bpmEvents.sort((a, b) => a.beat - b.beat);
+        let bpm = this.header.bpm > 0 ? this.header.bpm : 120;
+        let beat = 0;
+        let time = 0;
+        const segments = [{ beat: 0, time: 0, bpm }];
+        const bpms = [{ time: 0, beat: 0, bpm }];
+        for (const ev of bpmEvents) {
+            time += (ev.beat - beat) * 60 / bpm;
+            beat = ev.beat;
+            if (ev.bpm === bpm) continue;
+            bpm = ev.bpm;
+            if (segments[segments.length - 1].beat === beat) segments.pop();
+            if (bpms[bpms.length - 1].beat === beat) bpms.pop();
+            segments.push({ beat, time, bpm });
+            bpms.push({ time, beat, bpm });
+        }
+        return { timing: new TimingMap(segments), bpms };
+    }
+
+    // Pair LN starts and ends per lane; the sample comes from the start
+    pairNotes(events, timing, diagnostics) {
+        events.sort((a, b) => a.beat - b.beat);
+        const notes = [];
+        const open = new Array(LANE_COUNT).fill(null);
+        const unfinished = (pending) => {
+            this.diagnose('warning', null, `小节 ${pending.measure} 轨道 ${pending.lane + 1} 的长条没有结束，已作为普通音符处理`, diagnostics);
+            notes.push({ time: timing.timeAt(pending.beat), lane: pending.lane, type: 'tap', duration: 0, sampleId: pending.id });
+        };
+        for (const ev of events) {
+            if (ev.type === NOTE_LN_START) {
+                if (open[ev.lane]) unfinished(open[ev.lane]);
+                open[ev.lane] = ev;
+            } else if (ev.type === NOTE_LN_END) {
+                const head = open[ev.lane];
+                if (!head) {
+                    this.diagnose('warning', null, `小节 ${ev.measure} 轨道 ${ev.lane + 1} 的长条结束没有对应的开头`, diagnostics);
+                    continue;
+                }
+                const time = timing.timeAt(head.beat);
+                notes.push({ time, lane: ev.lane, type: 'ln', duration: timing.timeAt(ev.beat) - time, sampleId: head.id });
+                open[ev.lane] = null;
+            } else {
+                if (ev.type !== NOTE_TAP) this.diagnose('warning', null, `小节 ${ev.measure} 有未知的音符类型 ${ev.type}`, diagnostics);
+                notes.push({ time: timing.timeAt(ev.beat), lane: ev.lane, type: 'tap', duration: 0, sampleId: ev.id });
+            }
+        }
+        for (const pending of open) if (pending) unfinished(pending);
+        return notes.sort((a, b) => a.time - b.time);
+    }
+
+    buildChart(d, measureCount, notes, bgmEvents, timingInfo, diagnostics) {
+        const h = this.header;
+        const { timing = TimingMap.constant(120), bpms = [], barLines = [], sampleIds = new Set() } = timingInfo || {};
+        // Samples live in the .ojm; the id doubles as the name its sample resolver looks up
+        const wavs = Object.fromEntries([...sampleIds].sort((a, b) => a - b).map(id => [id, id]));
+        const headers = h ? {
+            TITLE: h.title,
+            ARTIST: h.artist,
+            MAKER: h.noter,
+            GENRE: String(h.genre),
+            OJM: h.ojm,
+            DIFFICULTY: String(d + 1), // Difficulty tab order
+            PLAYLEVEL: String(h.levels[d]),
+            CHARTNAME: DIFFICULTY_NAMES[d],
+            TOTALNOTES: String(h.noteCounts[d]),
+            MEASURES: String(measureCount)
+        } : {};
+        return {
+            notes,
+            bgmEvents,
+            wavs,
+            bmps: {},
+            bpms,
+            stops: [],
+            timing,
+            barLines,
+            initialBPM: bpms.length > 0 ? bpms[0].bpm : 120,
+            keyMode: 'O2-7K',
+            laneCount: LANE_COUNT,
+            title: h ? h.title : '',
+            artist: h ? h.artist : '',
+            rank: null,
+            encoding: this.encoding || null,
+            headers,
+            diagnostics,
+            random: { seed: 0, values: [] }
+        };
+    }
+}
@@ -0,0 +1,193 @@
+// osu.js
+// osu!mania (.osu) chart parser producing the same chart object as BMSParser.parse()
+import { TimingMap } from './timing.js';
+import { decodeText } from './encoding.js';
+
+// osu!mania key count -> key mode of the same lane count (see KEY_LAYOUTS / KEY_BINDINGS)
+const OSU_KEY_MODES = { 4: '4K', 6: '6K', 7: 'O2-7K', 8: '7K', 9: '9K' };
+
+// Sample id of the song's audio file in `wavs` (played as the only BGM event)
+const OSU_AUDIO_ID = '00';
+
+const HOLD_NOTE = 128; // HitObject type bit for a mania hold note
+
+export class OsuManiaParser {
+    // source is the .osu text, or its bytes (decoded as options.encoding, 'auto' by default)
+    constructor(source, options = {}) {
+        if (typeof source === 'string') {
+            this.text = source;
+            this.encoding = null;
+        } else {
+            ({ text: this.text, encoding: this.encoding } = decodeText(source, options.encoding || 'auto'));
+        }
+        this.options = options;
+        this.sections = {}; // name -> [{ text, line }]
+        this.headers = {}; // key: value pairs of [General] / [Metadata] / [Difficulty]
+        this.diagnostics = []; // { severity, line, channel, message }, as in BMSParser
+    }
+
+    diagnose(severity, line, channel, message) {
+        this.diagnostics.push({ severity, line, channel, message });
+    }
+
+    parse() {
+        this.readSections();
+        if (this.headers['Mode'] !== '3') {
+            this.diagnose('error', null, null, `不是 osu!mania 谱面 (Mode: ${this.headers['Mode'] ?? '0'})`);
+        }
+        const keyCount = Math.round(parseFloat(this.headers['CircleSize']));
+        const laneCount = keyCount > 0 ? keyCount : 4;
+        if (!(keyCount > 0)) this.diagnose('error', null, null, '缺少 [Difficulty] CircleSize，按 4K 处理');
+
+        const wavs = {};
+        const audio = (this.headers['AudioFilename'] || '').trim();
+        if (audio) wavs[OSU_AUDIO_ID] = audio;
+        const notes = this.readHitObjects(laneCount, wavs);
+        notes.sort((a, b) => a.time - b.time);
+        const end = notes.reduce((t, n) => Math.max(t, n.time + n.duration), 0);
+        const { timing, bpms, barLines } = this.readTimingPoints(end);
+
+        const meta = (key) => this.headers[`${key}Unicode`] || this.headers[key];
+        const background = this.readBackground();
+        if (background) this.headers['STAGEFILE'] = background; // Shown as the cover like a BMS #STAGEFILE
+        this.diagnostics.sort((a, b) => (a.line ?? 0) - (b.line ?? 0));
+
+        return {
+            notes,
+            bgmEvents: audio ? [{ time: 0, id: OSU_AUDIO_ID }] : [],
+            wavs,
+            bmps: {},
+            bpms,
+            stops: [],
+            timing,
+            barLines,
+            initialBPM: bpms.length > 0 ? bpms[0].bpm : 120,
+            keyMode: OSU_KEY_MODES[laneCount] || `osu-${laneCount}K`,
+            laneCount,
+            title: meta('Title'),
+            artist: meta('Artist'),
+            rank: null,
+            encoding: this.encoding,
+            headers: this.headers,
+            diagnostics: this.diagnostics,
+            random: { seed: 0, values: [] }
+        };
+    }
+
+    // Split into [Section] line lists; key: value sections also fill this.headers
+    readSections() {
+        let current = null;
+        this.text.split(/\r?\n/).forEach((raw, i) => {
+            const text = raw.trim();
+            if (!text || text.startsWith('//')) return;
+            const header = text.match(/^\[(\w+)\]$/);
+            if (header) {
+                current = header[1];
+                this.sections[current] = [];
+                return;
+            }
+            if (!current) return; // "osu file format vN"
+            this.sections[current].push({ text, line: i + 1 });
+            if (current === 'General' || current === 'Metadata' || current === 'Difficulty') {
+                const kv = text.match(/^([^:]+):\s*(.*)$/);
+                if (kv) this.headers[kv[1].trim()] = kv[2];
+            }
+        });
+    }
+
+    // Uninherited timing points set the BPM and the meter; inherited ones (scroll velocity) are skipped.
+    // Bar lines are generated up to endTime (the end of the last note).
+    readTimingPoints(endTime) {
+        const points = [];
+        for (const { text, line } of this.sections['TimingPoints'] || []) {
+            const f = text.split(',');
+            const time = parseFloat(f[0]) / 1000;
+            const beatLength = parseFloat(f[1]);
+            const uninherited = f.length < 7 || f[6] === '1';
+            if (!Number.isFinite(time) || !Number.isFinite(beatLength)) {
+                this.diagnose('warning', line, null, `无法解析的 TimingPoint: ${text}`);
+                continue;
+            }
+            if (!uninherited) continue;
+            if (beatLength <= 0) {
+                this.diagnose('warning', line, null, `TimingPoint 的 beatLength 无效: ${f[1]}`);
+                continue;
+            }
+            points.push({ time, bpm: 60000 / beatLength, meter: parseInt(f[2], 10) || 4, line });
+        }
+        points.sort((a, b) => a.time - b.time);
+        if (points.length === 0) {
+            this.diagnose('error', null, null, '没有 BPM TimingPoint，按 120 BPM 处理');
+            points.push({ time: 0, bpm: 120, meter: 4 });
+        }
+
+        const segments = [];
+        const bpms = [];
+        const barLines = [];
+        let beat = 0;
+        points.forEach((p, i) => {
+            if (i > 0) beat += (p.time - points[i - 1].time) * points[i - 1].bpm / 60;
+            segments.push({ beat, time: p.time, bpm: p.bpm });
+            if (bpms.length === 0 || Math.abs(bpms[bpms.length - 1].bpm - p.bpm) > 1e-9) {
+                bpms.push({ time: p.time, beat, bpm: p.bpm });
+            }
+            // osu! restarts the bar count at every uninherited point
+            const next = i + 1 < points.length ? points[i + 1].time : endTime + 1e-6;
+            const barLength = p.meter * 60 / p.bpm;
+            for (let t = p.time, n = 0; t < next - 1e-6; t = p.time + ++n * barLength) {
+                barLines.push({ measure: barLines.length, beat: beat + n * p.meter, time: t });
+            }
+        });
+        return { timing: new TimingMap(segments), bpms, barLines };
+    }
+
+    // x,y,time,type,hitSound,endTime:hitSample for holds, x,y,time,type,hitSound,hitSample otherwise
+    readHitObjects(laneCount, wavs) {
+        const notes = [];
+        const sampleIds = new Map(); // custom hit-sound filename -> sample id
+        for (const { text, line } of this.sections['HitObjects'] || []) {
+            const f = text.split(',');
+            const x = parseFloat(f[0]);
+            const time = parseFloat(f[2]) / 1000;
+            const type = parseInt(f[3], 10);
+            if (!Number.isFinite(x) || !Number.isFinite(time) || !Number.isFinite(type)) {
+                this.diagnose('warning', line, null, `无法解析的 HitObject: ${text}`);
+                continue;
+            }
+            const lane = Math.min(laneCount - 1, Math.max(0, Math.floor(x * laneCount / 512)));
+            let duration = 0;
+            let hitSample = f[5] || '';
+            if (type & HOLD_NOTE) {
+                const [endTime, ...rest] = (f[5] || '').split(':');
+                duration = parseFloat(endTime) / 1000 - time;
+                hitSample = rest.join(':');
+                if (!(duration > 0)) {
+                    this.diagnose('warning', line, null, `长条的结束时间无效，已作为普通音符处理: ${text}`);
+                    duration = 0;
+                }
+            }
+            // normalSet:additionSet:index:volume:filename
+            const filename = hitSample.split(':')[4];
+            let sampleId = null;
+            if (filename) {
+                if (!sampleIds.has(filename)) {
+                    sampleId = (sampleIds.size + 1).toString(36).toUpperCase().padStart(2, '0');
+                    sampleIds.set(filename, sampleId);
+                    wavs[sampleId] = filename;
+                }
+                sampleId = sampleIds.get(filename);
+            }
+            notes.push({ time, lane, type: duration > 0 ? 'ln' : 'tap', duration, sampleId });
+        }
+        return notes;
+    }
+
+    // Background image from [Events]: 0,0,"filename",x,y
+    readBackground() {
+        for (const { text } of this.sections['Events'] || []) {
+            const m = text.match(/^0\s*,\s*0\s*,\s*"?([^",]+)"?/);
+            if (m) return m[1];
+        }
+        return null;
+    }
+}
@@ -0,0 +1,19 @@
+// random.js
+// Seedable PRNG shared by everything that needs reproducible randomness
+
+// mulberry32: returns a function producing floats in [0, 1)
+export function createRNG(seed) {
+    let a = seed >>> 0;
+    return function() {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Fresh 32-bit seed for when the caller did not pick one
+export function randomSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
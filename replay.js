@@ -0,0 +1,87 @@
+// replay.js
+// Recorded runs: every lane press/release on the chart clock plus the settings that affect play,
+// saved as versioned JSON so the run can be played back and judged exactly as it was played
+import { NO_MODIFIERS } from './modifiers.js';
+
+export const REPLAY_FORMAT = 'my02-replay';
+// 2: settings.modifiers and offset changes in the inputs. Version 1 runs were played without modifiers.
+export const REPLAY_VERSION = 2;
+export const REPLAY_EXTENSION = '.o2r';
+
+// inputs are [time, lane, pressed, judged] (pressed / judged as 0 or 1), in the order they happened.
+// time is chart seconds including the player's offset. judged 0 is a key change while paused:
+// it only changes which lanes are held (long notes let go are judged when the song resumes).
+// An offset change is [time, OFFSET_CHANGE, new offset in seconds, 0]: the chart clock moves from there on.
+export const OFFSET_CHANGE = -1;
+
+// Result fields a replay must reproduce
+const CHECKED_RESULTS = ['score', 'cool', 'good', 'bad', 'miss', 'maxCombo', 'maxJam'];
+
+// FNV-1a over the notes (ms timing, lane, type), to tell whether a replay was recorded on a chart
+export function chartFingerprint(chart) {
+    let hash = 0x811c9dc5;
+    for (const n of chart.notes) {
+        const text = `${Math.round(n.time * 1000)}:${n.lane}:${n.type}:${Math.round((n.duration || 0) * 1000)};`;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+    }
+    return hash.toString(16).padStart(8, '0');
+}
+
+// settings: { speed, scrollMode, baseBPM, lnRule, judge, offset, modifiers } as set on the RhythmGame
+export function createReplay(chart, settings, inputs, result = null) {
+    return {
+        format: REPLAY_FORMAT,
+        version: REPLAY_VERSION,
+        date: new Date().toISOString(),
+        chart: {
+            title: chart.title || '',
+            artist: chart.artist || '',
+            keyMode: chart.keyMode,
+            notes: chart.notes.length,
+            fingerprint: chartFingerprint(chart)
+        },
+        random: chart.random || { seed: 0, values: [] }, // #RANDOM branches, to parse the same chart again
+        settings,
+        inputs,
+        result
+    };
+}
+
+export function serializeReplay(replay) {
+    return JSON.stringify(replay);
+}
+
+// Replay from file text; throws on anything that is not a replay this version can play
+export function parseReplay(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error('回放文件不是有效的 JSON');
+    }
+    if (!data || data.format !== REPLAY_FORMAT) throw new Error('不是回放文件');
+    if (!(data.version >= 1 && data.version <= REPLAY_VERSION)) throw new Error(`不支持的回放版本: ${data.version}`);
+    if (!data.chart || !data.settings || !Array.isArray(data.inputs)) throw new Error('回放文件不完整');
+    const valid = (i) => Array.isArray(i) && i.length === 4 && i.every(Number.isFinite);
+    if (!data.inputs.every(valid)) throw new Error('回放中的按键记录无效');
+    if (data.version < 2) data.settings = { ...data.settings, modifiers: { ...NO_MODIFIERS } };
+    if (!data.settings.modifiers) throw new Error('回放文件不完整');
+    return data;
+}
+
+// Fields where a played-back result differs from the recorded one, as [{ field, recorded, replayed }]
+export function resultDifferences(recorded, result) {
+    return CHECKED_RESULTS
+        .filter(field => field in recorded && recorded[field] !== result[field])
+        .map(field => ({ field, recorded: recorded[field], replayed: result[field] }));
+}
+
+// Why a replay can't be played on a chart, or null if it can
+export function replayMismatch(replay, chart) {
+    if (replay.chart.keyMode !== chart.keyMode) return `键位模式不同 (回放 ${replay.chart.keyMode}，谱面 ${chart.keyMode})`;
+    if (replay.chart.fingerprint !== chartFingerprint(chart)) return '回放不是在这张谱面上录制的';
+    return null;
+}
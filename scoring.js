@@ -0,0 +1,48 @@
+// scoring.js
+// Accuracy, EX score and grade from the judgment counts in RhythmGame.stats
+
+// Share of a COOL each judgment is worth towards accuracy
+export const ACCURACY_WEIGHTS = { cool: 1, good: 0.6, bad: 0.2, miss: 0 };
+
+// EX score as in beatmania: 2 per COOL, 1 per GOOD
+export const EX_POINTS = { cool: 2, good: 1, bad: 0, miss: 0 };
+
+// Lowest accuracy (%) for each grade, best first; anything below the last is F
+export const GRADES = [
+    { grade: 'S', min: 95 },
+    { grade: 'A', min: 90 },
+    { grade: 'B', min: 80 },
+    { grade: 'C', min: 70 },
+    { grade: 'D', min: 60 }
+];
+
+export function gradeFor(accuracy) {
+    const g = GRADES.find(g => accuracy >= g.min);
+    return g ? g.grade : 'F';
+}
+
+// { judged, accuracy (0-100), exScore, maxExScore, grade } over the notes judged so far.
+// Hold ticks are not judgments and do not count.
+export function computeScore(stats) {
+    const counts = {
+        cool: stats.cool || 0,
+        good: stats.good || 0,
+        bad: stats.bad || 0,
+        miss: stats.miss || 0
+    };
+    const judged = counts.cool + counts.good + counts.bad + counts.miss;
+    let weighted = 0;
+    let exScore = 0;
+    for (const k in counts) {
+        weighted += counts[k] * ACCURACY_WEIGHTS[k];
+        exScore += counts[k] * EX_POINTS[k];
+    }
+    const accuracy = judged > 0 ? (weighted / judged) * 100 : 100;
+    return {
+        judged,
+        accuracy,
+        exScore,
+        maxExScore: judged * EX_POINTS.cool,
+        grade: gradeFor(accuracy)
+    };
+}
@@ -0,0 +1,385 @@
+// skin.js
+// O2Jam / O2Mania style skins: Skin_*.xml (GB2312) plus the Skin_*.xml.cfg style selections.
+// Coordinates in a skin are for an 800x600 screen; RhythmGame maps them onto its design resolution.
+
+// IDRange from the skin files: first component ID of each element family
+export const SKIN_IDS = {
+    PANEL: 0,
+    JUDGMENT_FAIL: 1,
+    JUDGMENT_BAD: 2,
+    JUDGMENT_GOOD: 3,
+    JUDGMENT_COOL: 4,
+    LIFEBAR: 6,
+    COMBO_TEXT: 9,
+    BACKGROUND: 10,
+    KEYDOWN: 50,
+    NOTE: 100,
+    LONGNOTE: 150,
+    CHANNEL_ACTIVE: 200,
+    FLARE: 250,
+    FLARE_LONG: 350,
+    COMBO_NUMBER: 400,
+    SCORE_NUMBER: 410
+};
+
+const NUMERIC_ATTRS = ['u', 'v', 'w', 'h', 'x', 'y', 'orgx', 'orgy', 'destw', 'desth', 'alpha', 'colorR', 'colorG', 'colorB'];
+
+const FUNCTIONS = {
+    mod: (a, b) => b ? a - b * Math.floor(a / b) : 0,
+    div: (a, b) => b ? Math.floor(a / b) : 0,
+    min: Math.min,
+    max: Math.max,
+    abs: Math.abs,
+    int: Math.trunc
+};
+
+// Attribute values are small arithmetic expressions ("68*0.35", "194*(1-JamGagu/50)",
+// "121+27*mod(div(mod(CurTime,60),10),5)"). They are parsed here rather than eval'd.
+const compiled = new Map();
+
+export function compileExpression(src) {
+    if (compiled.has(src)) return compiled.get(src);
+
+    const tokens = String(src).match(/\d+(?:\.\d+)?|\.\d+|[A-Za-z_]\w*|[-+*/(),]|\S/g) || [];
+    const vars = new Set();
+    let pos = 0;
+
+    const peek = () => tokens[pos];
+    const take = (t) => {
+        if (t !== undefined && tokens[pos] !== t) throw new Error(`Expected "${t}" in skin expression "${src}"`);
+        return tokens[pos++];
+    };
+
+    // Each parse function returns a closure over the variable table
+    const primary = () => {
+        const t = take();
+        if (t === undefined) throw new Error(`Unexpected end of skin expression "${src}"`);
+        if (t === '(') {
+            const e = expr();
+            take(')');
+            return e;
+        }
+        if (/^[\d.]/.test(t)) {
+            const n = parseFloat(t);
+            return () => n;
+        }
+        if (/^[A-Za-z_]/.test(t)) {
+            if (peek() === '(') {
+                const fn = FUNCTIONS[t.toLowerCase()];
+                if (!fn) throw new Error(`Unknown function ${t} in skin expression "${src}"`);
+                take('(');
+                const args = [];
+                if (peek() !== ')') {
+                    args.push(expr());
+                    while (peek() === ',') { take(','); args.push(expr()); }
+                }
+                take(')');
+                return (v) => fn(...args.map(a => a(v)));
+            }
+            vars.add(t);
+            return (v) => Number(v[t]) || 0;
+        }
+        throw new Error(`Unexpected "${t}" in skin expression "${src}"`);
+    };
+    const unary = () => {
+        if (peek() === '-') { take(); const e = unary(); return (v) => -e(v); }
+        if (peek() === '+') { take(); return unary(); }
+        return primary();
+    };
+    const term = () => {
+        let left = unary();
+        while (peek() === '*' || peek() === '/') {
+            const op = take();
+            const a = left, b = unary();
+            left = op === '*' ? (v) => a(v) * b(v) : (v) => a(v) / b(v);
+        }
+        return left;
+    };
+    const expr = () => {
+        let left = term();
+        while (peek() === '+' || peek() === '-') {
+            const op = take();
+            const a = left, b = term();
+            left = op === '+' ? (v) => a(v) + b(v) : (v) => a(v) - b(v);
+        }
+        return left;
+    };
+
+    const fn = expr();
+    if (pos < tokens.length) throw new Error(`Unexpected "${tokens[pos]}" in skin expression "${src}"`);
+    const result = { fn, vars };
+    compiled.set(src, result);
+    return result;
+}
+
+export function evaluateExpression(src, vars = {}) {
+    return compileExpression(src).fn(vars);
+}
+
+export class O2Skin {
+    // xmlText / cfgText are already decoded; baseUrl is the folder the images are loaded from
+    constructor(xmlText, cfgText = '', baseUrl = '') {
+        this.baseUrl = baseUrl;
+        this.info = { title: '', playArea: { y: 0, h: 480 }, scoreNumberPos: null, comboNumberPos: null };
+        this.styleSets = []; // { id, name, styles: [{ id, name }] }
+        this.selected = {}; // stylesetID -> styleID (from the .cfg; unlisted sets use style 0)
+        this.components = new Map(); // ID -> { name, id, parts: [...] }
+        this.images = new Map(); // ImageName -> PIXI.BaseTexture (missing images are absent)
+        this.missingImages = [];
+        this.textureCache = new Map();
+        this.frameCache = new Map();
+
+        this.parseConfig(cfgText);
+        this.parseSkin(xmlText);
+    }
+
+    // Fetch Skin_*.xml and its .cfg, then load every image the selected styles use
+    static async load(url) {
+        const xmlText = await O2Skin.fetchText(url);
+        let cfgText = '';
+        try {
+            cfgText = await O2Skin.fetchText(url + '.cfg');
+        } catch (e) {
+            console.warn(`Skin config not found for ${url}, using default styles`);
+        }
+        const skin = new O2Skin(xmlText, cfgText, url.slice(0, url.lastIndexOf('/') + 1));
+        await skin.loadImages();
+        return skin;
+    }
+
+    // Skin files are GB2312; decode as GB18030 (a superset) rather than trusting the XML header
+    static async fetchText(url) {
+        const res = await fetch(url);
+        if (!res.ok) throw new Error(`HTTP ${res.status} loading ${url}`);
+        return new TextDecoder('gb18030').decode(await res.arrayBuffer());
+    }
+
+    parseConfig(text) {
+        if (!text) return;
+        const doc = new DOMParser().parseFromString(stripDeclaration(text), 'text/xml');
+        for (const set of doc.getElementsByTagName('Set')) {
+            const id = set.getAttribute('stylesetID');
+            const style = set.getAttribute('selected_style');
+            if (id !== null && style !== null) this.selected[id.trim()] = style.trim();
+        }
+    }
+
+    parseSkin(text) {
+        const doc = new DOMParser().parseFromString(stripDeclaration(text), 'text/xml');
+        const root = doc.documentElement;
+        if (!root || root.nodeName !== 'Skin') throw new Error('Not an O2Jam skin file');
+
+        const info = childElements(root).find(e => e.nodeName === 'Info');
+        for (const e of info ? childElements(info) : []) {
+            if (e.nodeName === 'Title') this.info.title = e.getAttribute('title') || '';
+            if (e.nodeName === 'PlayArea') this.info.playArea = { y: numAttr(e, 'y', 0), h: numAttr(e, 'h', 480) };
+            if (e.nodeName === 'ScoreNumberPos') this.info.scoreNumberPos = { x: numAttr(e, 'x', 0), y: numAttr(e, 'y', 0) };
+            if (e.nodeName === 'ComboNumberPos') this.info.comboNumberPos = { x: numAttr(e, 'x', 0) };
+        }
+
+        const styles = childElements(root).find(e => e.nodeName === 'Styles');
+        for (const set of styles ? childElements(styles) : []) {
+            this.styleSets.push({
+                id: set.getAttribute('stylesetID'),
+                name: set.getAttribute('name') || '',
+                styles: childElements(set).map(s => ({ id: s.getAttribute('styleID'), name: s.getAttribute('name') || '' }))
+            });
+        }
+
+        const component = childElements(root).find(e => e.nodeName === 'Component');
+        const copies = [];
+        for (const el of component ? childElements(component) : []) {
+            const id = el.getAttribute('ID');
+            if (id === null) continue;
+            const entry = { name: el.nodeName, id: parseInt(id, 10), parts: [] };
+            for (const partEl of childElements(el)) {
+                const m = partEl.nodeName.match(/^part(\d*)$/i);
+                if (!m) continue;
+                entry.parts.push(this.parsePart(partEl, m[1] ? parseInt(m[1], 10) : 0));
+            }
+            if (el.getAttribute('CopyFromID') !== null) copies.push([entry, parseInt(el.getAttribute('CopyFromID'), 10)]);
+            this.components.set(entry.id, entry);
+        }
+        for (const [entry, from] of copies) {
+            const source = this.components.get(from);
+            if (source && entry.parts.length === 0) entry.parts = source.parts;
+        }
+    }
+
+    parsePart(el, index) {
+        const frames = childElements(el).map(f => {
+            const raw = {};
+            for (const name of NUMERIC_ATTRS) {
+                const value = f.getAttribute(name);
+                if (value !== null && value.trim() !== '') raw[name] = value.trim();
+            }
+            return {
+                raw,
+                image: f.getAttribute('ImageName') || '',
+                keyframe: f.getAttribute('keyframeid') !== null ? parseInt(f.getAttribute('keyframeid'), 10) : null
+            };
+        });
+        const vars = new Set();
+        for (const f of frames) {
+            for (const value of Object.values(f.raw)) compileExpression(value).vars.forEach(v => vars.add(v));
+        }
+        return {
+            index,
+            frameCount: parseInt(el.getAttribute('FrameCount') || String(frames.length), 10),
+            frameSpeed: parseFloat(el.getAttribute('FrameSpeed') || '60'),
+            keyFraming: el.getAttribute('KeyFraming') === 'true',
+            additive: el.getAttribute('Draw_ColorAdd') === 'true',
+            styleset: el.getAttribute('stylesetID'),
+            style: el.getAttribute('styleID'),
+            frames,
+            vars, // variables the attributes depend on; empty means the part is static
+            dynamic: vars.size > 0
+        };
+    }
+
+    isActive(part) {
+        if (part.styleset === null) return true;
+        return (this.selected[part.styleset] ?? '0') === part.style;
+    }
+
+    component(id) {
+        return this.components.get(id) || null;
+    }
+
+    // Every active part of a component with the given part index
+    parts(id, index = 0) {
+        const c = this.components.get(id);
+        if (!c) return [];
+        return c.parts.filter(p => p.index === index && this.isActive(p) && p.frames.length > 0);
+    }
+
+    // First active part with the given index that draws something without runtime variables
+    part(id, index = 0) {
+        return this.parts(id, index).find(p => !p.dynamic) || null;
+    }
+
+    // Evaluate a part's frames. Keyframed parts are expanded to FrameCount frames with
+    // linear interpolation between keyframes; $(Frame) in image names is the frame number.
+    frames(part, vars = {}) {
+        if (!part) return [];
+        if (!part.dynamic && this.frameCache.has(part)) return this.frameCache.get(part);
+
+        let result;
+        if (part.keyFraming) {
+            const keys = part.frames
+                .map(f => ({ id: f.keyframe ?? 0, frame: f, value: evaluateFrame(f, vars) }))
+                .sort((a, b) => a.id - b.id);
+            result = [];
+            for (let i = 0; i < part.frameCount; i++) {
+                let a = keys[0], b = keys[keys.length - 1];
+                for (const k of keys) {
+                    if (k.id <= i) a = k;
+                    if (k.id >= i) { b = k; break; }
+                }
+                const t = b.id > a.id ? (i - a.id) / (b.id - a.id) : 0;
+                const value = {};
+                for (const name of Object.keys(a.value)) value[name] = a.value[name] + ((b.value[name] ?? a.value[name]) - a.value[name]) * t;
+                value.image = a.frame.image.replace('$(Frame)', String(i));
+                result.push(value);
+            }
+        } else {
+            result = part.frames.map((f, i) => ({ ...evaluateFrame(f, vars), image: f.image.replace('$(Frame)', String(i)) }));
+        }
+
+        if (!part.dynamic) this.frameCache.set(part, result);
+        return result;
+    }
+
+    frame(id, index = 0) {
+        return this.frames(this.part(id, index))[0] || null;
+    }
+
+    // Columns the skin draws notes for, as lane numbers (ID - 100), left to right on screen
+    columns() {
+        const cols = [];
+        for (const c of this.components.values()) {
+            const lane = c.id - SKIN_IDS.NOTE;
+            if (lane >= 0 && lane < 50 && this.part(c.id, 0)) cols.push(lane);
+        }
+        return cols.sort((a, b) => this.frame(SKIN_IDS.NOTE + a).x - this.frame(SKIN_IDS.NOTE + b).x);
+    }
+
+    // Every image name referenced by an active part
+    imageNames() {
+        const names = new Set();
+        for (const c of this.components.values()) {
+            for (const part of c.parts) {
+                if (!this.isActive(part)) continue;
+                const count = part.keyFraming ? part.frameCount : part.frames.length;
+                for (let i = 0; i < count; i++) {
+                    const f = part.frames[Math.min(i, part.frames.length - 1)];
+                    if (f && f.image) names.add(f.image.replace('$(Frame)', String(i)));
+                }
+            }
+        }
+        return [...names];
+    }
+
+    // Skins routinely reference images that were never shipped (background slots, unused styles);
+    // those are recorded in missingImages and the elements using them are simply not drawn.
+    async loadImages() {
+        await Promise.all(this.imageNames().map(async name => {
+            try {
+                const texture = await PIXI.Assets.load(this.baseUrl + name);
+                this.images.set(name, texture.baseTexture);
+            } catch (e) {
+                this.missingImages.push(name);
+            }
+        }));
+        if (this.missingImages.length > 0) {
+            console.warn(`Skin "${this.info.title}" is missing images: ${this.missingImages.join(', ')}`);
+        }
+    }
+
+    // PIXI.Texture for an evaluated frame's u/v/w/h rectangle, or null if the image is missing
+    texture(frame) {
+        if (!frame) return null;
+        const base = this.images.get(frame.image);
+        if (!base) return null;
+        const key = `${frame.image}|${frame.u},${frame.v},${frame.w},${frame.h}`;
+        if (!this.textureCache.has(key)) {
+            const x = Math.max(0, Math.min(frame.u, base.width));
+            const y = Math.max(0, Math.min(frame.v, base.height));
+            const w = Math.min(frame.w, base.width - x);
+            const h = Math.min(frame.h, base.height - y);
+            this.textureCache.set(key, w > 0 && h > 0 ? new PIXI.Texture(base, new PIXI.Rectangle(x, y, w, h)) : null);
+        }
+        return this.textureCache.get(key);
+    }
+}
+
+function evaluateFrame(f, vars) {
+    const value = {};
+    for (const [name, src] of Object.entries(f.raw)) value[name] = evaluateExpression(src, vars);
+    value.u ??= 0;
+    value.v ??= 0;
+    value.w ??= 0;
+    value.h ??= 0;
+    value.x ??= 0;
+    value.y ??= 0;
+    value.orgx ??= 0;
+    value.orgy ??= 0;
+    value.destw ??= value.w;
+    value.desth ??= value.h;
+    value.alpha ??= 1;
+    return value;
+}
+
+// DOMParser works on already-decoded text; the GB2312 declaration would only confuse it
+function stripDeclaration(text) {
+    return text.replace(/^\uFEFF?\s*<\?xml[^>]*\?>/, '');
+}
+
+function childElements(el) {
+    return Array.from(el.childNodes).filter(n => n.nodeType === 1);
+}
+
+function numAttr(el, name, fallback) {
+    const v = el.getAttribute(name);
+    return v === null ? fallback : evaluateExpression(v);
+}
@@ -0,0 +1,364 @@
+// sm.js
+// StepMania simfile (.sm / .ssc) parser producing the same chart object as BMSParser.parse(), one per #NOTES block
+import { TimingMap } from './timing.js';
+import { decodeText } from './encoding.js';
+
+// Supported STEPSTYPEs -> lane count and key mode (see KEY_BINDINGS); others are skipped with a warning
+const STEPS_TYPES = {
+    'dance-single': { lanes: 4, keyMode: '4K' },
+    'dance-solo': { lanes: 6, keyMode: '6K' },
+    'pump-single': { lanes: 5, keyMode: 'pump-single' },
+    'pump-halfdouble': { lanes: 6, keyMode: '6K' },
+    'pump-double': { lanes: 10, keyMode: 'pump-double' },
+    'kb7-single': { lanes: 7, keyMode: 'O2-7K' }
+};
+
+// #DIFFICULTY names (including old DDR names) -> number, stored as the BMS-style #DIFFICULTY header
+const DIFFICULTIES = {
+    beginner: 1,
+    easy: 2, basic: 2, light: 2,
+    medium: 3, another: 3, trick: 3, standard: 3,
+    hard: 4, maniac: 4, ssr: 4, heavy: 4,
+    challenge: 5, smaniac: 5, expert: 5, oni: 5,
+    edit: 6
+};
+const DIFFICULTY_NAMES = ['', 'Beginner', 'Easy', 'Medium', 'Hard', 'Challenge', 'Edit'];
+
+// Sample id of #MUSIC in `wavs` (played as the only BGM event)
+const SM_MUSIC_ID = '00';
+
+const BEATS_PER_MEASURE = 4;
+
+// HP points (out of 100) a mine takes when it explodes
+const MINE_DAMAGE = 10;
+
+// Tags of an .ssc chart section (after #NOTEDATA) that override the song's timing
+const CHART_TIMING_TAGS = ['OFFSET', 'BPMS', 'STOPS', 'DELAYS', 'WARPS'];
+
+export class StepManiaParser {
+    // source is the simfile text, or its bytes (decoded as options.encoding, 'auto' by default)
+    constructor(source, options = {}) {
+        if (typeof source === 'string') {
+            this.text = source;
+            this.encoding = null;
+        } else {
+            ({ text: this.text, encoding: this.encoding } = decodeText(source, options.encoding || 'auto'));
+        }
+        this.options = options;
+        this.headers = {}; // song-level tags
+        this.diagnostics = []; // song-level { severity, line, channel, message }, copied into every chart
+    }
+
+    diagnose(severity, line, channel, message, list = this.diagnostics) {
+        list.push({ severity, line, channel, message });
+    }
+
+    // One chart per supported #NOTES block, in file order
+    parse() {
+        const { song, charts } = this.readTags();
+        const lines = {}; // song tag -> line
+        for (const tag of song) {
+            this.headers[tag.name] = tag.value;
+            lines[tag.name] = tag.line;
+        }
+        this.songLines = lines;
+        if (charts.length === 0) this.diagnose('error', null, null, '没有找到 #NOTES 谱面');
+
+        const playable = charts.filter(chart => {
+            const type = chart.tags['STEPSTYPE'] || '';
+            if (STEPS_TYPES[type.toLowerCase()]) return true;
+            this.diagnose('warning', chart.line, null, `不支持的谱面类型: ${type || '(空)'}`);
+            return false;
+        });
+        const result = playable.map(chart => this.parseChart(chart));
+        if (result.length === 0 && charts.length > 0) {
+            this.diagnose('error', null, null, '没有支持的谱面类型 (dance-single / pump / kb7)');
+        }
+        // Always return something the select screen can show
+        return result.length > 0 ? result : [this.emptyChart()];
+    }
+
+    // Split into #TAG:value; entries with their line numbers. Song tags come first;
+    // .sm charts are single #NOTES:type:desc:difficulty:meter:radar:data; tags, .ssc charts start at #NOTEDATA.
+    readTags() {
+        const song = [];
+        const charts = [];
+        let section = null; // current .ssc chart, or null for song tags
+        let tag = null;
+        const finish = () => {
+            if (!tag) return;
+            tag.raw = tag.parts.join('\n'); // Untrimmed, so note rows keep their line numbers
+            tag.value = tag.raw.trim();
+            delete tag.parts;
+            if (tag.name === 'NOTEDATA') {
+                section = { tags: {}, lines: {}, notes: { data: '', line: tag.line }, line: tag.line };
+                charts.push(section);
+            } else if (tag.name === 'NOTES' && !section) {
+                charts.push(this.readSmNotes(tag));
+            } else if (section) {
+                section.tags[tag.name] = tag.value;
+                section.lines[tag.name] = tag.line;
+                if (tag.name === 'NOTES') section.notes = { data: tag.raw, line: tag.line };
+            } else {
+                song.push(tag);
+            }
+            tag = null;
+        };
+
+        this.text.split(/\r?\n/).forEach((raw, i) => {
+            let text = raw.replace(/\/\/.*$/, '');
+            const line = i + 1;
+            if (tag && !text.trim()) {
+                tag.parts.push('');
+                return;
+            }
+            while (text.length > 0) {
+                if (!tag) {
+                    const start = text.indexOf('#');
+                    if (start < 0) return;
+                    const colon = text.indexOf(':', start);
+                    if (colon < 0) {
+                        this.diagnose('warning', line, null, `无法识别的行: ${text.trim()}`);
+                        return;
+                    }
+                    tag = { name: text.slice(start + 1, colon).trim().toUpperCase(), parts: [], line };
+                    text = text.slice(colon + 1);
+                } else if (/^\s*#/.test(text) && tag.parts.length > 0) {
+                    // A new tag on its own line closes one that is missing its ';'
+                    this.diagnose('warning', tag.line, null, `#${tag.name} 缺少结尾的 ';'`);
+                    finish();
+                    continue;
+                }
+                const end = text.indexOf(';');
+                if (end < 0) {
+                    tag.parts.push(text);
+                    return;
+                }
+                tag.parts.push(text.slice(0, end));
+                finish();
+                text = text.slice(end + 1);
+            }
+        });
+        if (tag) finish();
+        return { song, charts };
+    }
+
+    // .sm: #NOTES:<type>:<description>:<difficulty>:<meter>:<radar>:<data>;
+    readSmNotes(tag) {
+        const raw = tag.raw.split(':');
+        const f = raw.map(s => s.trim());
+        if (f.length < 6) {
+            this.diagnose('warning', tag.line, null, '#NOTES 字段不足');
+        }
+        // Line of the note data: the tag's line plus the line breaks in the five fields before it
+        const head = raw.slice(0, 5).join(':');
+        const dataLine = tag.line + (head.match(/\n/g) || []).length;
+        return {
+            tags: { STEPSTYPE: f[0] || '', DESCRIPTION: f[1] || '', DIFFICULTY: f[2] || '', METER: f[3] || '' },
+            lines: { STEPSTYPE: tag.line },
+            notes: { data: raw.slice(5).join(':'), line: dataLine },
+            line: tag.line
+        };
+    }
+
+    parseChart(section) {
+        const diagnostics = this.diagnostics.slice();
+        const tags = section.tags;
+        const type = tags['STEPSTYPE'].toLowerCase();
+        const stepsType = STEPS_TYPES[type];
+        const tagLine = (name) => section.lines[name] ?? this.songLines[name] ?? null;
+        // .ssc charts may carry their own timing; otherwise the song's applies
+        const timingTag = (name) => (CHART_TIMING_TAGS.includes(name) && name in tags ? tags[name] : this.headers[name]);
+
+        const offset = parseFloat(timingTag('OFFSET')) || 0;
+        for (const name of ['DELAYS', 'WARPS']) {
+            if ((timingTag(name) || '').trim()) this.diagnose('warning', tagLine(name), null, `不支持 #${name}，已忽略`, diagnostics);
+        }
+        const bpmPairs = this.readPairs(timingTag('BPMS'), 'BPMS', tagLine('BPMS'), diagnostics);
+        const stopPairs = this.readPairs(timingTag('STOPS') ?? timingTag('FREEZES'), 'STOPS', tagLine('STOPS'), diagnostics);
+
+        const { notes, lastBeat } = this.readNotes(section.notes.data, stepsType.lanes, section.notes.line, diagnostics);
+        const { timing, bpms, stops } = this.buildTiming(bpmPairs, stopPairs, -offset, tagLine('BPMS'), diagnostics);
+        for (const n of notes) {
+            n.time = timing.timeAt(n.beat);
+            n.duration = n.endBeat !== undefined ? timing.timeAt(n.endBeat) - n.time : 0;
+            delete n.beat;
+            delete n.endBeat;
+        }
+        notes.sort((a, b) => a.time - b.time);
+
+        const barLines = [];
+        for (let measure = 0; measure * BEATS_PER_MEASURE <= lastBeat + BEATS_PER_MEASURE; measure++) {
+            const beat = measure * BEATS_PER_MEASURE;
+            barLines.push({ measure, beat, time: timing.timeAt(beat) });
+        }
+
+        const level = DIFFICULTIES[(tags['DIFFICULTY'] || '').toLowerCase()] || 0;
+        const headers = { ...this.headers };
+        for (const name of ['STEPSTYPE', 'DESCRIPTION', 'CHARTNAME']) if (tags[name]) headers[name] = tags[name];
+        // BMS-style headers used by the select screen (difficulty order, LV and cover)
+        headers['DIFFICULTY'] = String(level);
+        headers['PLAYLEVEL'] = tags['METER'] || '';
+        headers['CHARTNAME'] = [type, DIFFICULTY_NAMES[level] || tags['DIFFICULTY'], tags['METER']].filter(Boolean).join(' ');
+        if (this.headers['BACKGROUND']) headers['STAGEFILE'] = this.headers['BACKGROUND'];
+
+        const wavs = {};
+        const music = (this.headers['MUSIC'] || '').trim();
+        if (music) wavs[SM_MUSIC_ID] = music;
+        else this.diagnose('warning', null, null, '缺少 #MUSIC', diagnostics);
+        diagnostics.sort((a, b) => (a.line ?? 0) - (b.line ?? 0));
+
+        return {
+            notes,
+            bgmEvents: music ? [{ time: 0, id: SM_MUSIC_ID }] : [],
+            wavs,
+            bmps: {},
+            bpms,
+            stops,
+            timing,
+            barLines,
+            initialBPM: bpms.length > 0 ? bpms[0].bpm : 120,
+            keyMode: stepsType.keyMode,
+            laneCount: stepsType.lanes,
+            title: [this.headers['TITLE'], this.headers['SUBTITLE']].filter(Boolean).join(' '),
+            artist: this.headers['ARTIST'],
+            rank: null,
+            encoding: this.encoding,
+            headers,
+            diagnostics,
+            random: { seed: 0, values: [] }
+        };
+    }
+
+    // "beat=value,beat=value" -> [{ beat, value, line }] sorted by beat
+    readPairs(text, name, line, diagnostics) {
+        const pairs = [];
+        for (const item of (text || '').split(',')) {
+            if (!item.trim()) continue;
+            const [beat, value] = item.split('=').map(s => parseFloat(s));
+            if (!Number.isFinite(beat) || !Number.isFinite(value)) {
+                this.diagnose('warning', line, null, `#${name} 中无法解析的项: ${item.trim()}`, diagnostics);
+                continue;
+            }
+            pairs.push({ beat, value });
+        }
+        return pairs.sort((a, b) => a.beat - b.beat);
+    }
+
+    // TimingMap segments from #BPMS / #STOPS; beat 0 is at startTime (-#OFFSET)
+    buildTiming(bpmPairs, stopPairs, startTime, line, diagnostics) {
+        const changes = bpmPairs.filter(p => {
+            if (p.value > 0) return true;
+            this.diagnose('warning', line, null, `不支持 0 或负的 BPM (拍 ${p.beat})，已忽略`, diagnostics);
+            return false;
+        });
+        if (changes.length === 0) {
+            this.diagnose('error', line, null, '没有有效的 #BPMS，按 120 BPM 处理', diagnostics);
+            changes.push({ beat: 0, value: 120 });
+        }
+        const stopEvents = stopPairs.filter(p => {
+            if (p.value >= 0) return p.value > 0;
+            this.diagnose('warning', line, null, `不支持负的 STOP (拍 ${p.beat})，已忽略`, diagnostics);
+            return false;
+        });
+        const events = [
+            ...changes.map(p => ({ beat: Math.max(0, p.beat), type: 'bpm', value: p.value })),
+            ...stopEvents.map(p => ({ beat: p.beat, type: 'stop', value: p.value }))
+        ].sort((a, b) => (a.beat - b.beat) || (a.type === 'bpm' ? -1 : 1)); // BPM first at the same beat
+
+        let bpm = changes[0].value;
+        let beat = 0;
+        let time = startTime;
+        const segments = [{ beat: 0, time, bpm }];
+        const bpms = [{ time, beat: 0, bpm }];
+        const stops = [];
+        for (const ev of events) {
+            time += (ev.beat - beat) * 60 / bpm;
+            beat = ev.beat;
+            if (ev.type === 'bpm') {
+                if (ev.value === bpm) continue;
+                bpm = ev.value;
+                segments.push({ beat, time, bpm });
+                bpms.push({ time, beat, bpm });
+            } else {
+                // #STOPS are in seconds; notes on the stop's beat come before the pause
+                segments.push({ beat, time, bpm: 0 });
+                stops.push({ time, beat, duration: ev.value });
+                time += ev.value;
+                segments.push({ beat, time, bpm });
+            }
+        }
+        return { timing: new TimingMap(segments), bpms, stops };
+    }
+
+    // Note rows: measures separated by ',', each split evenly into its rows.
+    // 1 tap, 2 hold head, 4 roll head, 3 hold/roll tail, M mine, L lift (as a tap), F fake (skipped).
+    readNotes(data, lanes, line, diagnostics) {
+        const notes = [];
+        const open = new Array(lanes).fill(null);
+        let lastBeat = 0;
+        // Couples/routine charts list one player per '&'; only the first is played
+        const measures = data.split('&')[0].split(',');
+        let rowLine = line;
+        measures.forEach((measure, m) => {
+            const rows = [];
+            for (const text of measure.split('\n')) {
+                const row = text.trim();
+                if (row) rows.push({ row, line: rowLine });
+                rowLine = rowLine === null ? null : rowLine + 1;
+            }
+            rowLine = rowLine === null ? null : rowLine - 1; // The ',' shares the last row's line
+            rows.forEach(({ row, line: at }, r) => {
+                const beat = (m + r / rows.length) * BEATS_PER_MEASURE;
+                if (row.length !== lanes) {
+                    this.diagnose('warning', at, null, `行宽 ${row.length} 与轨道数 ${lanes} 不符: ${row}`, diagnostics);
+                }
+                for (let lane = 0; lane < Math.min(lanes, row.length); lane++) {
+                    const c = row[lane].toUpperCase();
+                    if (c === '0') continue;
+                    lastBeat = Math.max(lastBeat, beat);
+                    if (c === '1' || c === 'L') {
+                        notes.push({ beat, lane, type: 'tap', sampleId: null });
+                    } else if (c === '2' || c === '4') {
+                        if (open[lane]) this.closeUnfinished(open[lane], notes, diagnostics);
+                        open[lane] = { note: { beat, lane, type: 'ln', sampleId: null, roll: c === '4' }, line: at };
+                    } else if (c === '3') {
+                        if (!open[lane]) {
+                            this.diagnose('warning', at, null, `轨道 ${lane + 1} 的长条结束标记没有对应的开头`, diagnostics);
+                            continue;
+                        }
+                        open[lane].note.endBeat = beat;
+                        notes.push(open[lane].note);
+                        open[lane] = null;
+                    } else if (c === 'M') {
+                        notes.push({ beat, lane, type: 'mine', sampleId: null, damage: MINE_DAMAGE });
+                    } else if (c !== 'F' && c !== 'K' && c !== 'A') {
+                        this.diagnose('warning', at, null, `未知的音符类型 '${row[lane]}'`, diagnostics);
+                    }
+                }
+            });
+        });
+        for (const pending of open) if (pending) this.closeUnfinished(pending, notes, diagnostics);
+        return { notes, lastBeat };
+    }
+
+    closeUnfinished({ note, line }, notes, diagnostics) {
+        this.diagnose('warning', line, null, '长条没有结束标记，已作为普通音符处理', diagnostics);
+        note.type = 'tap';
+        delete note.roll;
+        notes.push(note);
+    }
+
+    // Placeholder for a simfile without playable charts, so the select screen can list its diagnostics
+    emptyChart() {
+        return {
+            notes: [], bgmEvents: [], wavs: {}, bmps: {}, bpms: [], stops: [],
+            timing: TimingMap.constant(120), barLines: [], initialBPM: 120,
+            keyMode: '4K', laneCount: 4,
+            title: this.headers['TITLE'], artist: this.headers['ARTIST'], rank: null,
+            encoding: this.encoding, headers: { ...this.headers },
+            diagnostics: this.diagnostics.slice().sort((a, b) => (a.line ?? 0) - (b.line ?? 0)),
+            random: { seed: 0, values: [] }
+        };
+    }
+}
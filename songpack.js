@@ -0,0 +1,203 @@
+// songpack.js
+// A song folder or .zip: finds its charts and resolves the files they reference
+import { decodeText } from './encoding.js';
+import { isChartFile } from './charts.js';
+
+const AUDIO_EXTENSIONS = ['.wav', '.ogg', '.mp3', '.flac'];
+const IMAGE_EXTENSIONS = ['.bmp', '.png', '.jpg', '.jpeg', '.gif'];
+
+function extOf(path) {
+    const m = path.match(/\.[^./]*$/);
+    return m ? m[0].toLowerCase() : '';
+}
+
+// Forward slashes, no './' segments, no leading slash
+function normalizePath(path) {
+    const parts = [];
+    for (const part of path.replace(/\\/g, '/').split('/')) {
+        if (part === '' || part === '.') continue;
+        if (part === '..') parts.pop();
+        else parts.push(part);
+    }
+    return parts.join('/');
+}
+
+function dirOf(path) {
+    const i = path.lastIndexOf('/');
+    return i < 0 ? '' : path.slice(0, i);
+}
+
+export class SongPackage {
+    // files: [{ path, blob }] with paths relative to the package root
+    constructor(name, files) {
+        this.name = name;
+        this.files = new Map(); // lower-cased path -> { path, blob }
+        this.byStem = new Map(); // lower-cased path without extension -> [entries]
+        this.byBase = new Map(); // lower-cased file name -> [entries], for references with a wrong folder
+        this.urls = new Map(); // path -> object URL
+        for (const f of files) {
+            const path = normalizePath(f.path);
+            const entry = { path, blob: f.blob };
+            const lower = path.toLowerCase();
+            this.files.set(lower, entry);
+            const stem = lower.slice(0, lower.length - extOf(lower).length);
+            if (!this.byStem.has(stem)) this.byStem.set(stem, []);
+            this.byStem.get(stem).push(entry);
+            const base = lower.split('/').pop();
+            if (!this.byBase.has(base)) this.byBase.set(base, []);
+            this.byBase.get(base).push(entry);
+        }
+    }
+
+    // From an <input webkitdirectory> / multi-file FileList
+    static fromFiles(fileList, name) {
+        const files = Array.from(fileList).map(f => ({ path: f.webkitRelativePath || f.name, blob: f }));
+        const root = files.length > 0 ? files[0].path.split('/')[0] : '';
+        return new SongPackage(name || root || 'song', files);
+    }
+
+    static async fromZip(data, name = 'song.zip') {
+        return new SongPackage(name.replace(/\.zip$/i, ''), await readZip(data));
+    }
+
+    // From a drag-and-drop: folders are walked recursively, loose files are taken as they are
+    static async fromDataTransfer(dataTransfer) {
+        const files = [];
+        const entries = Array.from(dataTransfer.items || [])
+            .map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null))
+            .filter(Boolean);
+        if (entries.length === 0) return SongPackage.fromFiles(dataTransfer.files);
+
+        const walk = async (entry, prefix) => {
+            if (entry.isFile) {
+                const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+                files.push({ path: prefix + entry.name, blob: file });
+            } else if (entry.isDirectory) {
+                const reader = entry.createReader();
+                // readEntries returns the children in batches until an empty one
+                for (;;) {
+                    const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+                    if (batch.length === 0) break;
+                    for (const child of batch) await walk(child, `${prefix}${entry.name}/`);
+                }
+            }
+        };
+        for (const entry of entries) await walk(entry, '');
+        const name = entries.length === 1 ? entries[0].name : 'song';
+        return new SongPackage(name, files);
+    }
+
+    // Chart files, in path order
+    get charts() {
+        return [...this.files.values()]
+            .filter(e => isChartFile(e.path))
+            .sort((a, b) => a.path.localeCompare(b.path));
+    }
+
+    // Find a referenced file relative to baseDir: case-insensitive, then the same name with another
+    // audio/image extension (charts often say .wav but ship .ogg), then the same file name in any folder
+    resolve(name, baseDir = '') {
+        if (!name) return null;
+        const path = normalizePath(baseDir ? `${baseDir}/${name}` : name).toLowerCase();
+        if (this.files.has(path)) return this.files.get(path);
+
+        const ext = extOf(path);
+        const group = AUDIO_EXTENSIONS.includes(ext) ? AUDIO_EXTENSIONS
+            : IMAGE_EXTENSIONS.includes(ext) ? IMAGE_EXTENSIONS : null;
+        const pick = (list) => list && (group ? list.find(e => group.includes(extOf(e.path))) : list[0]);
+        const stem = path.slice(0, path.length - ext.length);
+        const byStem = pick(this.byStem.get(stem));
+        if (byStem) return byStem;
+
+        const base = path.split('/').pop();
+        const sameName = this.byBase.get(base);
+        if (sameName) return sameName[0];
+        if (group) {
+            const baseStem = base.slice(0, base.length - ext.length);
+            for (const [s, list] of this.byStem) {
+                if (s.split('/').pop() === baseStem) {
+                    const hit = pick(list);
+                    if (hit) return hit;
+                }
+            }
+        }
+        return null;
+    }
+
+    url(entry) {
+        if (!entry) return null;
+        if (!this.urls.has(entry.path)) this.urls.set(entry.path, URL.createObjectURL(entry.blob));
+        return this.urls.get(entry.path);
+    }
+
+    // name -> object URL (or null) for files referenced by a chart at chartPath
+    resolver(chartPath) {
+        const base = dirOf(normalizePath(chartPath));
+        return (name) => this.url(this.resolve(name, base));
+    }
+
+    // Any audio file, for charts without keysounds that play a single track
+    firstAudio() {
+        return [...this.files.values()].find(e => AUDIO_EXTENSIONS.includes(extOf(e.path))) || null;
+    }
+
+    revoke() {
+        for (const url of this.urls.values()) URL.revokeObjectURL(url);
+        this.urls.clear();
+    }
+}
+
+// Entries of a .zip as [{ path, blob }]. Supports stored and deflated entries (no Zip64, no encryption).
+export async function readZip(data) {
+    const blob = data instanceof Blob ? data : new Blob([data]);
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    // End of central directory: last 0x06054b50 within the trailing comment window
+    let eocd = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+        if (view.getUint32(i, true) === 0x06054b50) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd < 0) throw new Error('不是有效的 zip 文件');
+    const count = view.getUint16(eocd + 10, true);
+    let p = view.getUint32(eocd + 16, true);
+    if (p === 0xFFFFFFFF) throw new Error('不支持 Zip64 格式');
+
+    const files = [];
+    for (let n = 0; n < count; n++) {
+        if (view.getUint32(p, true) !== 0x02014b50) throw new Error('zip 目录已损坏');
+        const flags = view.getUint16(p + 8, true);
+        const method = view.getUint16(p + 10, true);
+        const compressedSize = view.getUint32(p + 20, true);
+        const nameLen = view.getUint16(p + 28, true);
+        const extraLen = view.getUint16(p + 30, true);
+        const commentLen = view.getUint16(p + 32, true);
+        const localOffset = view.getUint32(p + 42, true);
+        const nameBytes = bytes.subarray(p + 46, p + 46 + nameLen);
+        // Bit 11 marks UTF-8 names; older archives use the system code page (often Shift-JIS or GBK)
+        const path = (flags & 0x800) ? new TextDecoder('utf-8').decode(nameBytes) : decodeText(nameBytes).text;
+        p += 46 + nameLen + extraLen + commentLen;
+
+        if (path.endsWith('/') || path.endsWith('\\')) continue; // Directory
+        if (flags & 0x1) continue; // Encrypted
+
+        const localNameLen = view.getUint16(localOffset + 26, true);
+        const localExtraLen = view.getUint16(localOffset + 28, true);
+        const start = localOffset + 30 + localNameLen + localExtraLen;
+        const raw = blob.slice(start, start + compressedSize);
+        let fileBlob;
+        if (method === 0) {
+            fileBlob = raw;
+        } else if (method === 8) {
+            fileBlob = await new Response(raw.stream().pipeThrough(new DecompressionStream('deflate-raw'))).blob();
+        } else {
+            console.warn(`zip: ${path} uses unsupported compression method ${method}`);
+            continue;
+        }
+        files.push({ path, blob: fileBlob });
+    }
+    return files;
+}
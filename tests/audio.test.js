@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHeadlessGame } from './headless.js';
+
+// start() with a stubbed fetch / decoder; returns the alert text (null if none) and whether play() ran
+async function startWith(t, audioUrl, { status = 200, decodes = true } = {}) {
+    const game = createHeadlessGame([]);
+    let played = false;
+    let message = null;
+    Object.assign(game, {
+        skinReady: Promise.resolve(),
+        keysounds: { load: async () => 0, coverage: () => 0, stopAll() {} },
+        audioContext: { decodeAudioData: async () => (decodes ? { duration: 1 } : Promise.reject(new DOMException('bad'))) },
+        play: async () => { played = true; }
+    });
+    t.mock.method(globalThis, 'fetch', async () => ({ ok: status === 200, status, arrayBuffer: async () => new ArrayBuffer(8) }));
+    globalThis.alert ??= () => {};
+    t.mock.method(globalThis, 'alert', (text) => { message = text; });
+    t.mock.method(console, 'error', () => {});
+    await game.start({ notes: [], wavs: {} }, audioUrl);
+    return { message, played };
+}
+
+test('start() plays once the audio is loaded', async (t) => {
+    assert.deepEqual(await startWith(t, 'music/cut.mp3'), { message: null, played: true });
+});
+
+test('start() reports a missing audio file instead of decoding the error page', async (t) => {
+    const { message, played } = await startWith(t, 'music/none.mp3', { status: 404 });
+    assert.equal(message, '音频加载失败: 音频文件无法读取 (HTTP 404)');
+    assert.equal(played, false);
+});
+
+test('start() reports audio that does not decode, and a chart without audio', async (t) => {
+    assert.equal((await startWith(t, 'music/cut.mp3', { decodes: false })).message, '音频加载失败: 音频无法解码，请检查文件格式');
+    assert.equal((await startWith(t, null)).message, '音频加载失败: 没有可播放的音频文件');
+});
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BMSParser, detectKeyMode } from '../bms.js';
+
+test('detectKeyMode picks the smallest layout that covers the channels', () => {
+    assert.equal(detectKeyMode(['16', '11', '12', '13']).mode, '4K');
+    assert.equal(detectKeyMode(['11', '12', '13', '16', '18', '19']).mode, 'O2-7K');
+    assert.equal(detectKeyMode(['16', '11', '12', '13', '14', '15', '18', '19']).mode, '7K');
+    assert.equal(detectKeyMode(['11', '12', '13', '14', '15', '22']).mode, '9K');
+    assert.equal(detectKeyMode(['11', '27']).mode, 'custom');
+});
+
+test('#LNOBJ does not reach back past a channel-5x long note', () => {
+    const chart = new BMSParser([
+        '#BPM 120',
+        '#LNOBJ ZZ',
+        '#00111:01000000',
+        '#00151:00020002',
+        '#00211:ZZ000000'
+    ].join('\n'), { seed: 1 }).parse();
+    assert.deepEqual(chart.notes.map(n => [n.time, n.type, n.duration]), [[2, 'tap', 0], [2.5, 'ln', 1]]);
+    assert.equal(chart.diagnostics.length, 1);
+});
+
+test('#LNOBJ turns the previous note of the lane into a long-note head', () => {
+    const chart = new BMSParser('#BPM 120\n#LNOBJ ZZ\n#00111:0100ZZ00\n', { seed: 1 }).parse();
+    assert.deepEqual(chart.notes.map(n => [n.time, n.type, n.duration]), [[2, 'ln', 1]]);
+});
+
+// Lines kept by the #RANDOM / #IF preprocess, and the parser for its random values and diagnostics
+function preprocess(lines, options = { seed: 1 }) {
+    const parser = new BMSParser(lines.join('\n'), options);
+    return { kept: parser.preprocess(lines).map(l => l.text), parser };
+}
+
+test('#IF / #ELSEIF / #ELSE pick one branch and nested blocks follow their own #RANDOM', () => {
+    const lines = [
+        '#SETRANDOM 2',
+        '#IF 1', '#TITLE A',
+        '#ELSEIF 2', '#TITLE B',
+        '#SETRANDOM 3', '#IF 3', '#TITLE C', '#ENDIF', '#ENDRANDOM',
+        '#ELSE', '#TITLE D',
+        '#ENDIF',
+        '#TITLE E'
+    ];
+    const two = preprocess(lines);
+    assert.deepEqual(two.kept, ['#TITLE B', '#TITLE C', '#TITLE E']);
+    assert.deepEqual(two.parser.random.values, [2, 3]);
+    // skipped branches do not consume random values
+    const three = preprocess(['#SETRANDOM 3', ...lines.slice(1)]);
+    assert.deepEqual(three.kept, ['#TITLE D', '#TITLE E']);
+    assert.deepEqual(three.parser.random.values, [3]);
+});
+
+test('an unclosed #IF runs to the end of the file and is reported', () => {
+    const { kept, parser } = preprocess(['#SETRANDOM 1', '#IF 2', '#TITLE A', '#TITLE B']);
+    assert.deepEqual(kept, []);
+    assert.equal(parser.diagnostics.length, 1);
+    assert.equal(parser.diagnostics[0].line, 2);
+    assert.deepEqual(preprocess(['#SETRANDOM 1', '#IF 1', '#TITLE A']).kept, ['#TITLE A']);
+    assert.deepEqual(preprocess(['#ENDIF']).parser.diagnostics.map(d => d.line), [1]);
+});
+
+test('#RANDOM branches repeat from the same seed or the recorded values', () => {
+    const text = ['#BPM 120'];
+    for (let i = 0; i < 8; i++) {
+        text.push('#RANDOM 4');
+        for (let lane = 1; lane <= 4; lane++) text.push(`#IF ${lane}`, `#00${i}1${lane}:01`, '#ENDIF');
+    }
+    const chart = (options) => new BMSParser(text.join('\n'), options).parse();
+    const first = chart({ seed: 42 });
+    assert.deepEqual(chart({ seed: 42 }).notes, first.notes);
+    assert.notDeepEqual(chart({ seed: 7 }).notes, first.notes);
+    const replayed = chart({ seed: 7, randomValues: first.random.values });
+    assert.deepEqual(replayed.notes, first.notes);
+    assert.deepEqual(replayed.random.values, first.random.values);
+    assert.equal(first.random.values.length, 8);
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { BMSParser } from '../bms.js';
+import { BMSWriter } from '../bmswriter.js';
+
+const EPSILON = 1e-6; // Seconds
+
+const parse = (source) => new BMSParser(source, { seed: 1 }).parse();
+
+// Events as comparable rows, in a stable order; sample ids compare by the file they name
+function rows(chart) {
+    const sample = (id) => (id ? chart.wavs[id] ?? id : null);
+    const byTime = (a, b) => a[0] - b[0] || String(a[1]).localeCompare(String(b[1]));
+    return {
+        notes: chart.notes.map(n => [n.time, n.lane, n.type, n.duration || 0, sample(n.sampleId)]).sort(byTime),
+        bgm: chart.bgmEvents.map(e => [e.time, sample(e.id)]).sort(byTime),
+        bpms: chart.bpms.map(b => [b.time, b.bpm]),
+        stops: chart.stops.map(s => [s.time, s.duration])
+    };
+}
+
+function assertSameRows(actual, expected, label) {
+    assert.equal(actual.length, expected.length, `${label}: count`);
+    actual.forEach((row, i) => row.forEach((value, k) => {
+        if (typeof value === 'number') assert.ok(Math.abs(value - expected[i][k]) < EPSILON, `${label} #${i}: ${row} vs ${expected[i]}`);
+        else assert.equal(value, expected[i][k], `${label} #${i}`);
+    }));
+}
+
+function assertRoundTrip(source) {
+    const chart = parse(source);
+    const writer = new BMSWriter(chart);
+    const again = parse(writer.write());
+    assert.deepEqual(writer.warnings, []);
+    assert.deepEqual(again.diagnostics, []);
+    assert.equal(again.keyMode, chart.keyMode);
+    const [a, b] = [rows(again), rows(chart)];
+    for (const list of ['notes', 'bgm', 'bpms', 'stops']) assertSameRows(a[list], b[list], list);
+    return chart;
+}
+
+for (const name of ['4K.bms', 'MINGSHEN.bms']) {
+    test(`${name} reads back the same after BMSWriter`, () => {
+        assertRoundTrip(readFileSync(new URL(`../map/${name}`, import.meta.url)));
+    });
+}
+
+test('STOPs, BPM changes, long notes and mines read back the same', () => {
+    const chart = assertRoundTrip([
+        '#BPM 120',
+        '#WAV01 kick.wav',
+        '#WAV02 bgm.ogg',
+        '#BPM01 180',
+        '#STOP01 96',
+        '#00101:02',
+        '#00111:01010101',
+        '#00108:0001',
+        '#00109:01',
+        '#00213:00000001',
+        '#00253:01000100',
+        '#002D2:0A00'
+    ].join('\n'));
+    assert.deepEqual(chart.stops.map(s => s.duration), [1]);
+    assert.deepEqual(chart.bpms.map(b => b.bpm), [120, 180]);
+    assert.deepEqual(chart.notes.map(n => n.type).sort(), ['ln', 'mine', 'tap', 'tap', 'tap', 'tap', 'tap']);
+});
@@ -0,0 +1,58 @@
+// headless.js
+// RhythmGame without a page: just enough browser globals for game.js to load, and a game object
+// that judges notes with every drawing and sound call turned into a no-op
+
+globalThis.window = globalThis;
+globalThis.document = { getElementById: () => null };
+globalThis.PIXI = {};
+
+const { RhythmGame } = await import('../game.js');
+const { JUDGE_PROFILES } = await import('../judge.js');
+
+const NO_OPS = [
+    'updateHUD', 'bounceCombo', 'showJudgeText', 'showHitEffect', 'setLanePressed',
+    'hideNote', 'dimBrokenNote', 'syncLongFlares', 'playNoteSound'
+];
+
+// A game in play over `notes` ({ time, lane, type, duration }), judged from laneInput() / advance() calls
+export function createHeadlessGame(notes, { judge = 'o2jam-nm', lnRule = 'o2jam', lanes = 4 } = {}) {
+    const game = Object.create(RhythmGame.prototype);
+    Object.assign(game, {
+        chart: { title: 'test', keyMode: `${lanes}K`, notes },
+        runtimeNotes: notes.map(n => ({ duration: 0, ...n, hit: false, missed: false, isHolding: false })),
+        invisibleNotes: [],
+        judge: JUDGE_PROFILES[judge],
+        lnRule,
+        heldLanes: new Array(lanes).fill(false),
+        stats: { combo: 0, score: 0, cool: 0, good: 0, bad: 0, miss: 0, maxCombo: 0, jam: 0, maxJam: 0, jamGauge: 0, ticks: 0, hp: 100 },
+        isPlaying: true,
+        paused: false,
+        finished: false,
+        autoDemo: false,
+        keysoundMode: false,
+        recording: null,
+        replay: null,
+        GLOBAL_OFFSET: 0
+    });
+    for (const name of NO_OPS) game[name] = () => {};
+    return game;
+}
+
+// A stand-in AudioContext and ticker so chartTime(), pause() and resume() run: chartTime() is clock.now
+// plus the game's offset. Returns the clock.
+export function attachClock(game) {
+    const clock = { now: 0 };
+    Object.assign(game, {
+        audioStartTime: 0,
+        playbackRate: 1,
+        resumeRun: 0,
+        pausedHolds: new Set(),
+        app: { ticker: { start() {}, stop() {} } },
+        audioContext: {
+            get currentTime() { return clock.now; },
+            suspend: async () => {},
+            resume: async () => {}
+        }
+    });
+    return clock;
+}
@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHeadlessGame } from './headless.js';
+import { JUDGE_PROFILES, judgeTiming } from '../judge.js';
+
+// o2jam-nm: COOL 50 ms, GOOD 85 ms, BAD 108 ms, MISS cutoff 150 ms
+const NM = JUDGE_PROFILES['o2jam-nm'];
+
+// Judgment of a single tap at t = 2 pressed `ms` late (negative: early)
+function pressAt(ms) {
+    const game = createHeadlessGame([{ time: 2, lane: 0, type: 'tap' }]);
+    game.laneInput(0, true, 2 + ms / 1000);
+    const { cool, good, bad, miss } = game.stats;
+    const note = game.runtimeNotes[0];
+    return { cool, good, bad, miss, hit: note.hit, missed: note.missed };
+}
+
+test('judgeTiming windows include their boundaries', () => {
+    assert.equal(judgeTiming(NM, 0), 'COOL');
+    assert.equal(judgeTiming(NM, -50), 'COOL');
+    assert.equal(judgeTiming(NM, 50.001), 'GOOD');
+    assert.equal(judgeTiming(NM, 85), 'GOOD');
+    assert.equal(judgeTiming(NM, -85.001), 'BAD');
+    assert.equal(judgeTiming(NM, 108), 'BAD');
+    assert.equal(judgeTiming(NM, 108.001), null);
+    assert.equal(judgeTiming(NM, 110, 30), 'GOOD');
+    assert.equal(judgeTiming(NM, 130, 30), 'BAD');
+});
+
+test('every profile has a MISS window past BAD', () => {
+    for (const [key, profile] of Object.entries(JUDGE_PROFILES)) {
+        assert.ok(profile.cool <= profile.good && profile.good <= profile.bad, key);
+        assert.ok(profile.miss > profile.bad, key);
+    }
+});
+
+test('checkHit judges a press by its distance to the note, early or late', () => {
+    for (const ms of [0, 49, -49]) assert.equal(pressAt(ms).cool, 1, `${ms} ms`);
+    for (const ms of [51, -51, 84, -84]) assert.equal(pressAt(ms).good, 1, `${ms} ms`);
+    for (const ms of [86, -86, 107, -107]) assert.equal(pressAt(ms).bad, 1, `${ms} ms`);
+});
+
+test('checkHit turns a late press between BAD and the miss cutoff into a MISS', () => {
+    for (const ms of [109, 149]) {
+        const r = pressAt(ms);
+        assert.equal(r.miss, 1, `${ms} ms`);
+        assert.equal(r.missed, true);
+    }
+});
+
+test('checkHit ignores a press earlier than BAD', () => {
+    for (const ms of [-109, -149, -151]) {
+        const r = pressAt(ms);
+        assert.deepEqual([r.cool, r.good, r.bad, r.miss, r.hit, r.missed], [0, 0, 0, 0, false, false], `${ms} ms`);
+    }
+});
+
+test('an early empty press leaves the note to be hit', () => {
+    const game = createHeadlessGame([{ time: 2, lane: 0, type: 'tap' }]);
+    game.stats.combo = 5;
+    game.laneInput(0, true, 1.87);
+    game.laneInput(0, false, 1.9);
+    game.laneInput(0, true, 2.01);
+    assert.equal(game.stats.cool, 1);
+    assert.equal(game.stats.miss, 0);
+    assert.equal(game.stats.combo, 6);
+});
+
+test('checkHit takes the closest note of the lane', () => {
+    const game = createHeadlessGame([
+        { time: 1, lane: 0, type: 'tap' },
+        { time: 1.1, lane: 0, type: 'tap' },
+        { time: 1.06, lane: 1, type: 'tap' }
+    ]);
+    game.laneInput(0, true, 1.07);
+    assert.equal(game.runtimeNotes[0].hit, false);
+    assert.equal(game.runtimeNotes[1].hit, true);
+    assert.equal(game.runtimeNotes[2].hit, false);
+});
+
+test('an untouched note is missed once it is past the miss cutoff', () => {
+    const game = createHeadlessGame([{ time: 1, lane: 0, type: 'tap' }]);
+    game.advance(1.149);
+    assert.equal(game.stats.miss, 0);
+    game.advance(1.151);
+    assert.equal(game.stats.miss, 1);
+});
+
+test('a long-note head starts a hold that is judged on release', () => {
+    const game = createHeadlessGame([{ time: 1, lane: 2, type: 'ln', duration: 1 }]);
+    game.laneInput(2, true, 1.02);
+    const note = game.runtimeNotes[0];
+    assert.equal(note.isHolding, true);
+    assert.equal(note.hit, false);
+    game.laneInput(2, false, 2.01);
+    assert.equal(note.hit, true);
+    assert.equal(game.stats.cool, 2);
+});
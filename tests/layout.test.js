@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHeadlessGame } from './headless.js';
+
+// Just enough of a Pixi display object for drawLayout(): every drawing call is recorded and ignored
+class Stub {
+    constructor() {
+        this.calls = [];
+        this.position = { set: () => {} };
+        this.scale = { set: () => {} };
+        this.texture = null;
+    }
+}
+for (const name of ['clear', 'beginFill', 'drawRect', 'endFill', 'removeChildren', 'addChild', 'destroy']) {
+    Stub.prototype[name] = function (...args) { this.calls.push([name, ...args]); };
+}
+
+// A headless game with the layers drawLayout() touches, no background and no judge-line texture
+function layoutGame(lanes) {
+    PIXI.Graphics = Stub;
+    PIXI.Texture = { EMPTY: {} };
+    const game = createHeadlessGame([], { lanes });
+    Object.assign(game, {
+        LANE_COUNT: lanes,
+        trackWidth: 333,
+        trackLeft: null,
+        textures: {},
+        assetsLoaded: true,
+        skin: null,
+        app: { renderer: { generateTexture: (g) => ({ from: g }) } },
+        drawLaneCovers: () => {},
+        layoutHUD: () => {}
+    });
+    for (const name of ['bgSprite', 'panelLayer', 'laneGraphics', 'judgeSprite', 'laneLayer', 'notesLayer',
+        'gridLayer', 'keyLayer', 'judgeLayer', 'gameContainer']) {
+        game[name] = new Stub();
+    }
+    game.bgSprite.texture = PIXI.Texture.EMPTY;
+    return game;
+}
+
+test('drawLayout draws the fallback judge line across every lane', () => {
+    const game = layoutGame(4);
+    game.drawLayout();
+    const line = game.judgeSprite.texture.from.calls.find(c => c[0] === 'drawRect');
+    assert.deepEqual(line, ['drawRect', 0, 0, 333, 4]);
+    assert.equal(game.startX, (game.width - 333) / 2);
+});
+
+test('setLaneCount recomputes the lane width across the same track', () => {
+    const game = layoutGame(4);
+    game.drawLayout();
+    game.setLaneCount(7, '7K');
+    assert.equal(game.LANE_WIDTH, 333 / 7);
+    assert.equal(game.startX, (game.width - 333) / 2);
+});
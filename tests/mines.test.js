@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHeadlessGame } from './headless.js';
+
+// o2jam-nm: BAD window 108 ms. A landmine at t = 2 on lane 0 that costs 10 HP.
+function mineGame() {
+    const game = createHeadlessGame([{ time: 2, lane: 0, type: 'mine', damage: 10 }]);
+    game.stats.combo = 3;
+    return game;
+}
+
+test('a landmine explodes when its lane is held as it reaches the line', () => {
+    const game = mineGame();
+    game.laneInput(0, true, 1.5);
+    game.advance(2.5);
+    assert.equal(game.stats.hp, 90);
+    assert.equal(game.stats.combo, 3);
+});
+
+test('a press within the BAD window of a landmine sets it off once', () => {
+    for (const ms of [-100, 0, 100]) {
+        const game = mineGame();
+        game.laneInput(0, true, 2 + ms / 1000);
+        game.laneInput(0, false, 2.01 + ms / 1000);
+        game.laneInput(0, true, 2.02 + ms / 1000);
+        game.advance(2.5);
+        assert.equal(game.stats.hp, 90, `${ms} ms`);
+        assert.equal(game.stats.combo, 3);
+    }
+});
+
+test('presses outside the BAD window and other lanes leave a landmine alone', () => {
+    const game = mineGame();
+    game.laneInput(0, true, 1.85);
+    game.laneInput(0, false, 1.86);
+    game.laneInput(1, true, 2);
+    game.laneInput(1, false, 2.01);
+    game.advance(2.11);
+    game.laneInput(0, true, 2.12);
+    assert.equal(game.stats.hp, 100);
+    assert.equal(game.runtimeNotes[0].hit, true);
+});
+
+test('autoplay never sets off a landmine', () => {
+    const game = mineGame();
+    game.autoDemo = true;
+    game.laneInput(0, true, 2);
+    game.advance(2.5);
+    assert.equal(game.stats.hp, 100);
+});
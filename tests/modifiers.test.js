@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyModifiers, NO_MODIFIERS } from '../modifiers.js';
+import { TimingMap } from '../timing.js';
+
+const tap = (time, lane) => ({ time, lane, type: 'tap', duration: 0 });
+const ln = (time, lane, duration) => ({ time, lane, type: 'ln', duration });
+
+// Every note of a lane starts at or after the end of the previous note of that lane
+function assertNoNoteInsideHold(notes) {
+    const endAt = new Map();
+    for (const n of [...notes].sort((a, b) => a.time - b.time)) {
+        assert.ok(n.time >= (endAt.get(n.lane) ?? -Infinity), `note at ${n.time} inside a hold on lane ${n.lane}`);
+        endAt.set(n.lane, n.time + n.duration);
+    }
+}
+
+test('S-RANDOM never puts a note inside a hold', () => {
+    // three lanes held while lane 3 gets a jack too fast for any lane to be free
+    const notes = [ln(0, 0, 1), ln(0, 1, 1), ln(0, 2, 1), tap(0.5, 3), tap(0.52, 3), tap(0.54, 3)];
+    for (let seed = 1; seed <= 20; seed++) {
+        const out = applyModifiers(notes, '4K', 4, { lane: 'srandom', ln: null, seed });
+        assertNoNoteInsideHold(out);
+        assert.equal(out.length, notes.length);
+    }
+});
+
+test('S-RANDOM falls back to the lane released longest ago', () => {
+    // lane 0 is released at 0.5, lane 1 at 0.55, lanes 2 and 3 are held past 0.56
+    const notes = [tap(0.5, 0), tap(0.55, 1), ln(0, 2, 1), ln(0, 3, 1), tap(0.56, 0)];
+    for (let seed = 1; seed <= 10; seed++) {
+        const out = applyModifiers(notes, '4K', 4, { lane: 'srandom', ln: null, seed });
+        const placed = new Map(out.map(n => [n.time, n.lane]));
+        assert.equal(placed.get(0.56), placed.get(0.5));
+    }
+});
+
+test('S-RANDOM keeps the notes of a dense chord in separate lanes', () => {
+    // lane 0 is released exactly at the chord, lanes 1 and 2 just before it, lane 3 is held through it
+    const notes = [ln(0, 0, 0.5), ln(0, 3, 1), tap(0.45, 1), tap(0.45, 2), tap(0.5, 0), tap(0.5, 1), tap(0.5, 2)];
+    for (let seed = 1; seed <= 20; seed++) {
+        const out = applyModifiers(notes, '4K', 4, { lane: 'srandom', ln: null, seed });
+        const chord = out.filter(n => n.time === 0.5).map(n => n.lane);
+        assert.equal(new Set(chord).size, 3, `seed ${seed}`);
+        assertNoNoteInsideHold(out);
+    }
+});
+
+test('ALL LN measures holds in beats', () => {
+    const notes = [tap(0, 0), tap(1, 0), tap(2, 0)];
+    const slow = applyModifiers(notes, '4K', 4, { ...NO_MODIFIERS, ln: 'allln' }, TimingMap.constant(120));
+    assert.deepEqual(slow.map(n => [n.type, n.duration]), [['ln', 0.875], ['ln', 0.875], ['ln', 0.5]]);
+    const fast = applyModifiers(notes, '4K', 4, { ...NO_MODIFIERS, ln: 'allln' }, TimingMap.constant(240));
+    assert.deepEqual(fast.map(n => [n.type, n.duration]), [['ln', 0.9375], ['ln', 0.9375], ['ln', 0.25]]);
+    // a quarter-beat gap is too short for a hold
+    const dense = applyModifiers([tap(0, 0), tap(0.125, 0)], '4K', 4, { ...NO_MODIFIERS, ln: 'allln' }, TimingMap.constant(120));
+    assert.equal(dense[0].type, 'tap');
+});
+
+test('NO LN turns long notes into taps and leaves the chart untouched', () => {
+    const notes = [ln(0, 0, 1), tap(0.5, 1)];
+    const out = applyModifiers(notes, '4K', 4, { ...NO_MODIFIERS, ln: 'noln' });
+    assert.deepEqual(out.map(n => [n.type, n.duration]), [['tap', 0], ['tap', 0]]);
+    assert.equal(notes[0].type, 'ln');
+});
@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { OJNParser, OJM_BGM_SAMPLE_BASE } from '../ojn.js';
+import { readOJM } from '../ojm.js';
+
+const fixture = (name) => readFileSync(new URL(`fixtures/${name}`, import.meta.url));
+const bytesOf = async (sample) => new Uint8Array(await sample.blob.arrayBuffer());
+const ascii = (bytes, from, to) => String.fromCharCode(...bytes.subarray(from, to));
+
+// All three packs hold the same 8 kHz 8-bit beeps: k0/k1 as keysounds 0 and 1, M0 as background sample 1000.
+// These are the first PCM bytes of each once decoded.
+const PCM_START = {
+    0: [128, 166, 187, 180, 150, 110, 78, 69],
+    1: [128, 158, 179, 188, 180, 159, 130, 100],
+    [OJM_BGM_SAMPLE_BASE]: [128, 148, 166, 179, 187, 187, 180, 167]
+};
+const WAV_HEADER_SIZE = 44;
+
+test('o2test.ojn has the header and three difficulties', () => {
+    const charts = new OJNParser(fixture('o2test.ojn')).parse();
+    assert.equal(charts.length, 3);
+    for (const chart of charts) {
+        assert.equal(chart.title, '테스트 O2Jam');
+        assert.equal(chart.artist, '작곡가');
+        assert.equal(chart.keyMode, 'O2-7K');
+        assert.equal(chart.laneCount, 7);
+        assert.equal(chart.headers['OJM'], 'o2test.ojm');
+        assert.deepEqual(chart.bgmEvents, [{ time: 0, id: String(OJM_BGM_SAMPLE_BASE) }]);
+        assert.deepEqual(chart.diagnostics, []);
+    }
+});
+
+test('o2test.ojn EZ/NM/HD notes', () => {
+    const [ez, nm, hd] = new OJNParser(fixture('o2test.ojn')).parse();
+    const notes = (chart) => chart.notes.map(n => [n.time, n.lane, n.type, n.sampleId]);
+    assert.equal(ez.notes.length, 5);
+    assert.deepEqual(notes(ez), [[2, 0, 'tap', '0'], [2.5, 2, 'tap', '0'], [3, 0, 'tap', '1'], [3.5, 2, 'tap', '1'], [4, 6, 'tap', '0']]);
+    assert.equal(nm.notes.length, 4);
+    assert.equal(hd.notes.length, 4);
+    // HD: measure 1 is 3/4 long, so measure 2 starts 1.5 s after it
+    assert.deepEqual(notes(hd), [[2, 1, 'tap', '0'], [2.5, 1, 'tap', '1'], [3, 1, 'tap', '0'], [3.5, 4, 'tap', '1']]);
+});
+
+test('o2test.ojn NM pairs the long-note start and end and follows the BPM change', () => {
+    const nm = new OJNParser(fixture('o2test.ojn')).parse()[1];
+    const [ln, ...rest] = nm.notes;
+    assert.deepEqual([ln.time, ln.lane, ln.type, ln.duration], [2, 0, 'ln', 1.5]);
+    assert.ok(rest.every(n => n.type === 'tap'));
+    assert.deepEqual(nm.bpms.map(b => [b.time, b.bpm]), [[0, 120], [4, 180]]);
+    assert.ok(Math.abs(nm.notes[3].time - (4 + 2 / 3)) < 1e-9);
+});
+
+test('M30 payloads are XOR-masked with "nami" and unmasked by readOJM', async () => {
+    const raw = fixture('o2test.ojm');
+    assert.equal(raw.readInt32LE(8), 16); // nami
+    // The first payload starts after the 28-byte file header and its 52-byte sample header
+    const masked = raw.subarray(28 + 52, 28 + 52 + 4);
+    assert.deepEqual([...masked], [...'RIFF'].map((c, i) => c.charCodeAt(0) ^ 'nami'.charCodeAt(i)));
+
+    const { format, samples } = readOJM(raw);
+    assert.equal(format, 'M30');
+    assert.deepEqual(samples.map(s => [s.id, s.name]), [[0, 'k0.ogg'], [1, 'k1.ogg'], [OJM_BGM_SAMPLE_BASE, 'M0.ogg']]);
+    for (const sample of samples) {
+        const bytes = await bytesOf(sample);
+        assert.equal(ascii(bytes, 0, 4), 'RIFF');
+        assert.equal(ascii(bytes, 8, 12), 'WAVE');
+        assert.deepEqual([...bytes.subarray(WAV_HEADER_SIZE, WAV_HEADER_SIZE + 8)], PCM_START[sample.id]);
+    }
+});
+
+test('OMC WAV samples are rearranged and XOR-decoded to the same bytes as the M30 pack', async () => {
+    const m30 = readOJM(fixture('o2test.ojm')).samples;
+    const { format, samples } = readOJM(fixture('o2test_omc.ojm'));
+    assert.equal(format, 'OMC');
+    // Slot 2 of the WAV section is empty but still takes an id
+    assert.deepEqual(samples.map(s => [s.id, s.name, s.blob.type]), [
+        [0, 'k0.wav', 'audio/wav'],
+        [1, 'k1.wav', 'audio/wav'],
+        [OJM_BGM_SAMPLE_BASE, 'M0.ogg', 'audio/ogg']
+    ]);
+    for (const sample of samples) {
+        const bytes = await bytesOf(sample);
+        assert.deepEqual([...bytes.subarray(WAV_HEADER_SIZE, WAV_HEADER_SIZE + 8)], PCM_START[sample.id]);
+        assert.deepEqual(bytes, await bytesOf(m30.find(s => s.id === sample.id)));
+    }
+});
+
+test('readOJM rejects files that are not sample packs', () => {
+    assert.throws(() => readOJM(new Uint8Array(32)), /不是有效的 O2Jam \.ojm 文件/);
+});
@@ -0,0 +1,53 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHeadlessGame, attachClock } from './headless.js';
+
+function pausableGame(notes) {
+    const game = createHeadlessGame(notes);
+    const clock = attachClock(game);
+    game.recording = [];
+    return { game, clock };
+}
+
+// resume() with its 3-2-1 countdown run on mocked timers
+async function resume(game) {
+    mock.timers.enable({ apis: ['setTimeout'] });
+    try {
+        const done = game.resume();
+        for (let n = 0; n < 3; n++) {
+            await new Promise(resolve => setImmediate(resolve));
+            mock.timers.tick(1000);
+        }
+        return await done;
+    } finally {
+        mock.timers.reset();
+    }
+}
+
+test('resume releases only the long notes let go during the pause', async () => {
+    const { game, clock } = pausableGame([
+        { time: 1, lane: 0, type: 'ln', duration: 2 },
+        { time: 1, lane: 1, type: 'ln', duration: 2 },
+        { time: 5, lane: 2, type: 'tap' }
+    ]);
+    game.laneInput(0, true, 1);
+    game.laneInput(1, true, 1);
+    clock.now = 1.5;
+    await game.pause();
+    game.holdInput(0, false);
+
+    assert.equal(await resume(game), true);
+    const [first, second] = game.runtimeNotes;
+    assert.equal(first.isHolding, false);
+    assert.equal(second.isHolding, true);
+    // Presses, the paused key change and one release: the idle lanes 2 and 3 get nothing
+    const judged = game.recording.filter(input => input[3] === 1);
+    assert.deepEqual(judged.map(([, lane, pressed]) => [lane, pressed]), [[0, 1], [1, 1], [0, 0]]);
+});
+
+test('resume sends no releases when nothing was held', async () => {
+    const { game } = pausableGame([{ time: 5, lane: 0, type: 'tap' }]);
+    await game.pause();
+    await resume(game);
+    assert.deepEqual(game.recording, []);
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHeadlessGame, attachClock } from './headless.js';
+import { parseReplay, serializeReplay, resultDifferences, OFFSET_CHANGE } from '../replay.js';
+import { NO_MODIFIERS } from '../modifiers.js';
+
+const NOTES = Array.from({ length: 24 }, (_, i) => ({ time: 1 + i * 0.25, lane: i % 4, type: 'tap' }));
+const FRAME = 1 / 60;
+
+// A run where every note is pressed 20 ms late on the audio clock,
+// with the offset moved by the arrow keys twice along the way. Returns the game and its chart times per frame.
+function liveRun() {
+    const game = createHeadlessGame(NOTES);
+    const clock = attachClock(game);
+    game.GLOBAL_OFFSET = 0.03;
+    game.startRecording();
+    const presses = NOTES.map(n => ({ at: n.time + 0.02, lane: n.lane }));
+    const chartTimes = [];
+    for (let frame = 0; frame * FRAME < 8; frame++) {
+        clock.now = frame * FRAME;
+        while (presses.length > 0 && presses[0].at <= clock.now) {
+            const { lane } = presses.shift();
+            game.laneInput(lane, true, game.chartTime());
+            game.laneInput(lane, false, game.chartTime());
+        }
+        if (frame === 150) game.changeOffset(-0.05);
+        if (frame === 300) game.changeOffset(0.02);
+        game.advance(game.chartTime());
+        chartTimes.push(game.chartTime());
+    }
+    game.saveReplay(game.results());
+    return { game, chartTimes };
+}
+
+test('offset changes are recorded with the inputs', () => {
+    const { game } = liveRun();
+    const replay = game.lastReplay;
+    assert.equal(replay.settings.offset, 0.03);
+    const changes = replay.inputs.filter(input => input[1] === OFFSET_CHANGE).map(input => input[2]);
+    assert.equal(changes.length, 2);
+    assert.ok(Math.abs(changes[0] + 0.02) < 1e-9 && Math.abs(changes[1]) < 1e-9);
+});
+
+test('a replay plays back on the recorded chart clock and reproduces the result', () => {
+    const { game: live, chartTimes } = liveRun();
+    const replay = parseReplay(serializeReplay(live.lastReplay));
+
+    const game = createHeadlessGame(NOTES);
+    const clock = attachClock(game);
+    game.replay = replay;
+    game.replayCursor = 0;
+    game.GLOBAL_OFFSET = replay.settings.offset;
+    chartTimes.forEach((expected, frame) => {
+        clock.now = frame * FRAME;
+        game.feedReplay(game.chartTime());
+        game.advance(game.chartTime());
+        assert.ok(Math.abs(game.chartTime() - expected) < 1e-9, `frame ${frame}`);
+    });
+    const result = game.results();
+    assert.deepEqual(resultDifferences(replay.result, result), []);
+    assert.deepEqual({ ...result, replay: false }, live.results());
+});
+
+test('resultDifferences lists the fields that changed', () => {
+    const recorded = { score: 1000, cool: 5, good: 0, bad: 0, miss: 1, maxCombo: 5, maxJam: 0 };
+    assert.deepEqual(resultDifferences(recorded, { ...recorded }), []);
+    assert.deepEqual(resultDifferences(recorded, { ...recorded, score: 990, miss: 2 }), [
+        { field: 'score', recorded: 1000, replayed: 990 },
+        { field: 'miss', recorded: 1, replayed: 2 }
+    ]);
+});
+
+test('parseReplay rejects files that are not replays', () => {
+    assert.throws(() => parseReplay('not json'), /不是有效的 JSON/);
+    assert.throws(() => parseReplay('{"format":"other"}'), /不是回放文件/);
+});
+
+test('version 1 replays are played back without modifiers', () => {
+    const v1 = { format: 'my02-replay', version: 1, chart: {}, settings: { offset: 0 }, inputs: [[1, 0, 1, 1]] };
+    assert.deepEqual(parseReplay(JSON.stringify(v1)).settings.modifiers, NO_MODIFIERS);
+    const v2 = { ...v1, version: 2 };
+    assert.throws(() => parseReplay(JSON.stringify(v2)), /不完整/);
+});
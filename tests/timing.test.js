@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TimingMap } from '../timing.js';
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+// 120 BPM for 4 beats (2 s), 240 BPM from beat 4, a 1 s STOP at beat 8 (t = 3), then 60 BPM from beat 10
+const map = new TimingMap([
+    { beat: 0, time: 0, bpm: 120 },
+    { beat: 4, time: 2, bpm: 240 },
+    { beat: 8, time: 3, bpm: 0 },
+    { beat: 8, time: 4, bpm: 240 },
+    { beat: 10, time: 4.5, bpm: 60 }
+]);
+
+test('constant BPM maps beats and seconds linearly', () => {
+    const constant = TimingMap.constant(150);
+    close(constant.timeAt(10), 4);
+    close(constant.beatAt(4), 10);
+    assert.equal(constant.bpmAt(100), 150);
+});
+
+test('timeAt follows BPM changes', () => {
+    close(map.timeAt(0), 0);
+    close(map.timeAt(2), 1);
+    close(map.timeAt(4), 2);
+    close(map.timeAt(6), 2.5);
+    close(map.timeAt(12), 6.5);
+});
+
+test('timeAt puts a STOP beat at the start of the STOP and delays what follows', () => {
+    close(map.timeAt(8), 3);
+    close(map.timeAt(9), 4.25);
+    close(map.timeAt(10), 4.5);
+});
+
+test('beatAt follows BPM changes and is the inverse of timeAt outside STOPs', () => {
+    close(map.beatAt(1), 2);
+    close(map.beatAt(2.5), 6);
+    for (const beat of [0, 1.5, 4, 7.25, 9, 11]) close(map.beatAt(map.timeAt(beat)), beat);
+});
+
+test('beatAt is frozen during a STOP', () => {
+    close(map.beatAt(3), 8);
+    close(map.beatAt(3.5), 8);
+    close(map.beatAt(4), 8);
+    assert.equal(map.bpmAt(3.5), 0);
+    assert.equal(map.bpmAt(4.2), 240);
+});
+
+test('times before the first segment extrapolate at the first BPM', () => {
+    close(map.beatAt(-1), -2);
+});
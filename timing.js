@@ -0,0 +1,51 @@
+// timing.js
+// Beat <-> time mapping for charts with BPM changes and STOPs
+
+// Piecewise-linear map built from segments sorted by time:
+//   { beat, time, bpm }  from `time` on, the beat advances at `bpm` (0 while a STOP holds it)
+// A STOP at beat b for d seconds is two segments: { b, t, 0 } and { b, t + d, bpm }.
+export class TimingMap {
+    constructor(segments) {
+        this.segments = segments.length > 0 ? segments : [{ beat: 0, time: 0, bpm: 120 }];
+    }
+
+    // Chart with a single BPM and no STOPs
+    static constant(bpm) {
+        return new TimingMap([{ beat: 0, time: 0, bpm }]);
+    }
+
+    // Beat position at a time (seconds); frozen inside a STOP
+    beatAt(time) {
+        const seg = this.segmentAtTime(time);
+        return seg.beat + (time - seg.time) * seg.bpm / 60;
+    }
+
+    // Time (seconds) a beat is reached; a beat that starts a STOP maps to the start of the STOP
+    timeAt(beat) {
+        let seg = this.segments[0];
+        for (const s of this.segments) {
+            if (s.beat < beat && s.bpm > 0) seg = s;
+            else if (s.beat >= beat) break;
+        }
+        if (seg.bpm <= 0) return seg.time;
+        return seg.time + (beat - seg.beat) * 60 / seg.bpm;
+    }
+
+    // Scroll BPM at a time (0 during a STOP)
+    bpmAt(time) {
+        return this.segmentAtTime(time).bpm;
+    }
+
+    segmentAtTime(time) {
+        // Binary search: last segment with segment.time <= time
+        const segs = this.segments;
+        let lo = 0;
+        let hi = segs.length - 1;
+        while (lo < hi) {
+            const mid = (lo + hi + 1) >> 1;
+            if (segs[mid].time <= time) lo = mid;
+            else hi = mid - 1;
+        }
+        return segs[lo];
+    }
+}